@@ -1 +1,4 @@
-module.exports = { util: require("./dist/functions").default }
+const utils = require("./dist/index")
+
+// all utilities as named exports and the default utility object as util (backward compatibility)
+module.exports = Object.assign({}, utils, { util: utils.default })
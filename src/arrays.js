@@ -0,0 +1,896 @@
+import { DateTime } from "luxon"
+import { createAccessor, isContainer, toDateTime } from "./helpers"
+import { aggregateBuckets } from "./stats"
+import { jsonGet } from "./objects"
+
+// modes of mapListToKeyObject for handling multiple items with the same key
+export const KEY_MAPPING_MODES = {
+    AUTO: "auto",
+    ARRAY: "array",
+    FIRST: "first",
+    LAST: "last",
+    THROW: "throw",
+}
+
+export const SORT_DIRECTIONS = {
+    ASC: "asc",
+    DESC: "desc",
+}
+
+// value types supported by the sort comparators
+export const SORT_TYPES = {
+    AUTO: "auto",
+    STRING: "string",
+    NUMBER: "number",
+    BOOLEAN: "boolean",
+    DATE: "date",
+    CUSTOM: "custom",
+}
+
+// positions of null / undefined values in sorted lists (independent of the sort direction)
+export const NULL_POSITIONS = {
+    FIRST: "first",
+    LAST: "last",
+}
+
+// action types handled by the table state reducer
+export const TABLE_ACTIONS = {
+    SORT: "TABLE_SORT",
+    FILTER: "TABLE_FILTER",
+    SEARCH: "TABLE_SEARCH",
+    PAGE: "TABLE_PAGE",
+    PAGE_SIZE: "TABLE_PAGE_SIZE",
+}
+
+// default number of rows per page of a table
+const DEFAULT_PAGE_SIZE = 25
+
+/**
+ * Converts a date value into a timestamp that can be compared. Supports JS dates, Luxon DateTime, moment objects,
+ * numbers (used as is) and ISO/SQL/RFC2822 strings.
+ * @param {object} value - the date value
+ * @returns {number} the timestamp in milliseconds (or the number itself) or null, if the value is not a valid date
+ */
+const toSortableTimestamp = value => {
+    if (value == null || typeof value === "number") {
+        return value
+    }
+    if (value instanceof Date) {
+        return value.getTime()
+    }
+    if (DateTime.isDateTime(value)) {
+        return value.isValid ? value.toMillis() : null
+    }
+    if (typeof value === "string") {
+        const parsed = toDateTime(value)
+        return parsed == null ? null : parsed.toMillis()
+    }
+    // moment objects and anything else providing a numeric primitive value
+    const primitive = value.valueOf()
+    return typeof primitive === "number" ? primitive : null
+}
+
+/**
+ * Compares two non-null values of a given sort type in ascending order.
+ * @param {object} aVal - the first value
+ * @param {object} bVal - the second value
+ * @param {string} type - one of the SORT_TYPES
+ * @param {object} definition - the prepared sort definition providing the collator and custom compare function
+ * @returns {number} a negative number if aVal comes first, a positive number if bVal comes first, 0 if equal
+ */
+const compareTyped = (aVal, bVal, type, definition) => {
+    switch (type) {
+        case SORT_TYPES.CUSTOM:
+            return definition.compare(aVal, bVal)
+        case SORT_TYPES.STRING:
+            return definition.collator.compare(`${aVal}`, `${bVal}`)
+        case SORT_TYPES.BOOLEAN:
+            // true first in ascending order
+            if (Boolean(aVal) === Boolean(bVal)) {
+                return 0
+            }
+            return aVal ? -1 : 1
+        case SORT_TYPES.NUMBER:
+        case SORT_TYPES.DATE:
+            return Number(aVal) - Number(bVal)
+        default: {
+            // auto-detect the type from the values
+            if (typeof aVal === "number" && typeof bVal === "number") {
+                return compareTyped(aVal, bVal, SORT_TYPES.NUMBER, definition)
+            }
+            if (typeof aVal === "boolean" && typeof bVal === "boolean") {
+                return compareTyped(aVal, bVal, SORT_TYPES.BOOLEAN, definition)
+            }
+            if (typeof aVal !== "string" && typeof bVal !== "string") {
+                const aTime = toSortableTimestamp(aVal)
+                const bTime = toSortableTimestamp(bVal)
+                if (aTime != null && bTime != null) {
+                    return compareTyped(aTime, bTime, SORT_TYPES.DATE, definition)
+                }
+            }
+            return compareTyped(aVal, bVal, SORT_TYPES.STRING, definition)
+        }
+    }
+}
+
+/**
+ * Compares two values according to a prepared sort definition, taking care of null values and direction.
+ * @param {object} definition - the prepared sort definition
+ * @param {object} a - the first item
+ * @param {object} b - the second item
+ * @returns {number} the comparison result
+ */
+const compareSortValues = (definition, a, b) => {
+    let aVal = definition.getValue(a)
+    let bVal = definition.getValue(b)
+    if (definition.type === SORT_TYPES.DATE) {
+        aVal = toSortableTimestamp(aVal)
+        bVal = toSortableTimestamp(bVal)
+    }
+    const isEmpty = val => val == null || (typeof val === "number" && isNaN(val))
+    if (isEmpty(aVal) || isEmpty(bVal)) {
+        if (isEmpty(aVal) && isEmpty(bVal)) {
+            return 0
+        }
+        const nullsLast = isEmpty(aVal) ? 1 : -1
+        return definition.nulls === NULL_POSITIONS.FIRST ? -nullsLast : nullsLast
+    }
+    const result = compareTyped(aVal, bVal, definition.type, definition)
+    if (result === 0 || isNaN(result)) {
+        return 0
+    }
+    return definition.descending ? -result : result
+}
+
+export const toggleItem = (list, item) => {
+    const index = list.indexOf(item)
+    if (index === -1) {
+        list.push(item)
+        return list
+    }
+    list.splice(index, 1)
+    return list
+}
+
+/**
+ * Helper to initialise a sorting definition for a React component state.
+ * @param {string} sortKey - the key / field to sort by default - default "date"
+ * @param {string} defaultDirection - the default sort direction - default: "asc"
+ * @returns {Object} a JSON object representing a sorting definition
+ */
+export const initSorting = (sortKey, defaultDirection = null) => {
+    if (sortKey == null) {
+        return initSorting("date", defaultDirection)
+    }
+    if (defaultDirection == null) {
+        return initSorting(sortKey, SORT_DIRECTIONS.ASC)
+    }
+    return {
+        key: sortKey,
+        direction: defaultDirection,
+    }
+}
+
+/**
+ * State update handler when changing the sorting of a list in a React component.
+ * @param {Object} oldState - the old React component state
+ * @param {string} sortKey - the field / key to sort elements by
+ * @param {string} stateKey - optional, the key in the state holding the sorting object (key and direction) - default "sorting"
+ * @param {string} defaultDirection - optional, the default sort direction, if the sortKey is not the current sort key - default "asc"
+ * @returns {Object} a JSON copy of the old state with the new updated sorting definition (the old state and its
+ * sorting definition are not modified)
+ */
+export const updateSorting = (oldState, sortKey, stateKey = null, defaultDirection = null) => {
+    if (stateKey == null) {
+        return updateSorting(oldState, sortKey, "sorting", defaultDirection)
+    }
+    if (defaultDirection == null) {
+        return updateSorting(oldState, sortKey, stateKey, SORT_DIRECTIONS.ASC)
+    }
+    const stateUpdate = { ...oldState }
+    const existingSorting = oldState[stateKey]
+    if (existingSorting == null) {
+        // initialise the sorting
+        stateUpdate[stateKey] = initSorting(sortKey, defaultDirection)
+    } else if (existingSorting.key === sortKey) {
+        // reverse direction
+        stateUpdate[stateKey] = {
+            ...existingSorting,
+            direction: existingSorting.direction === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC,
+        }
+    } else {
+        // set new sort key and default direction
+        stateUpdate[stateKey] = {
+            ...existingSorting,
+            key: sortKey,
+            direction: defaultDirection,
+        }
+    }
+
+    return stateUpdate
+}
+
+/**
+ * Provides a sort function for an ordered list of sorting definitions. Items are compared by the first definition
+ * and only if they are equal, the next definition is used. Null values (and NaN) are placed at the end of the list
+ * by default, independent of the sort direction.
+ * @param {Array|Object} sortings - a list of sorting definitions (or a single one) containing:
+ * - key: the key to sort by (can contain . for nested levels) or a function extracting the value from an item
+ * - direction: one of the SORT_DIRECTIONS (default: "asc")
+ * - type: one of the SORT_TYPES (default: "auto" - detects the type from the values)
+ * - compare: a function (a, b) => number comparing two non-null values, required for type "custom"
+ * - nulls, locale, natural, collatorOptions: overrides for the options below
+ * @param {Object} options - optional settings applied to all sorting definitions:
+ * - types: a JSON object mapping keys to SORT_TYPES, for definitions without type (e.g. from the component state)
+ * - nulls: one of the NULL_POSITIONS (default: "last")
+ * - locale: the locale used to compare strings (default: the browser locale)
+ * - natural: compare numbers within strings by their value, so "item 2" comes before "item 10" (default: false)
+ * - collatorOptions: additional options for the Intl.Collator used to compare strings (e.g. sensitivity)
+ * @returns {Function} a sorting lambda
+ */
+export const multiSort = (sortings, options = {}) => {
+    const { types = {}, nulls = NULL_POSITIONS.LAST, locale, natural = false, collatorOptions = {} } = options
+    const definitions = (Array.isArray(sortings) ? sortings : [sortings])
+        .filter(sorting => sorting != null)
+        .map(sorting => {
+            const { key } = sorting
+            const type = sorting.type || (typeof key === "function" ? null : types[key]) || SORT_TYPES.AUTO
+            if (type === SORT_TYPES.CUSTOM && typeof sorting.compare !== "function") {
+                throw Error(`Custom sorting of key '${key}' requires a compare function`)
+            }
+            return {
+                type,
+                getValue: createAccessor(key),
+                descending: sorting.direction === SORT_DIRECTIONS.DESC,
+                nulls: sorting.nulls || nulls,
+                compare: sorting.compare,
+                collator: new Intl.Collator(sorting.locale || locale, {
+                    numeric: sorting.natural != null ? sorting.natural : natural,
+                    ...collatorOptions,
+                    ...sorting.collatorOptions,
+                }),
+            }
+        })
+    return (a, b) => {
+        for (let i = 0; i < definitions.length; i += 1) {
+            const result = compareSortValues(definitions[i], a, b)
+            if (result !== 0) {
+                return result
+            }
+        }
+        return 0
+    }
+}
+
+/**
+ * Provides a sort function for the given key / direction.
+ * @param {Object} sorting a sorting definition containing "key" and "direction"
+ * @param {Array.<string>} stringKeys the list of sort keys that should be sorted as strings
+ * @param {Array.<string>} booleanKeys the list of sort keys that should be sorted as boolean (true first = asc)
+ * @returns {Function} a sorting lambda
+ */
+export const sort = (sorting, stringKeys = [], booleanKeys = []) => {
+    const { key } = sorting
+    let type = SORT_TYPES.NUMBER
+    if (stringKeys.includes(key)) {
+        type = SORT_TYPES.STRING
+    } else if (booleanKeys.includes(key)) {
+        type = SORT_TYPES.BOOLEAN
+    }
+    return multiSort({ ...sorting, type })
+}
+
+/**
+ * Helper to initialise a multi-column sorting definition for a React component state.
+ * @param {Array|string} sortKeys - the key or list of keys to sort by (in order of priority)
+ * @param {string} defaultDirection - the default sort direction - default: "asc"
+ * @returns {Array} a list of sorting definitions
+ */
+export const initMultiSorting = (sortKeys, defaultDirection = null) => {
+    return (Array.isArray(sortKeys) ? sortKeys : [sortKeys]).map(key => initSorting(key, defaultDirection))
+}
+
+/**
+ * State update handler when changing a multi-column sorting of a list in a React component. Without append, the
+ * sorting is replaced by the sortKey (reversing the direction, if it already was the primary key). With append
+ * (e.g. shift-click), the sortKey is added as secondary key or its direction is reversed, if it's already used.
+ * @param {Object} oldState - the old React component state
+ * @param {string} sortKey - the field / key to sort elements by
+ * @param {boolean} append - optional, whether to add the sortKey to the existing sorting - default false
+ * @param {string} stateKey - optional, the key in the state holding the list of sorting definitions - default "sorting"
+ * @param {string} defaultDirection - optional, the sort direction for keys not yet sorted by - default "asc"
+ * @returns {Object} a JSON copy of the old state with the new updated sorting definitions
+ */
+export const updateMultiSorting = (oldState, sortKey, append = false, stateKey = null, defaultDirection = null) => {
+    const key = stateKey == null ? "sorting" : stateKey
+    const direction = defaultDirection == null ? SORT_DIRECTIONS.ASC : defaultDirection
+    const reverse = sorting => (sorting.direction === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC)
+    // also accepts a single sorting definition
+    const existing = oldState[key] == null ? [] : [].concat(oldState[key])
+    const current = existing.find(sorting => sorting.key === sortKey)
+
+    let sortings
+    if (!append) {
+        const isPrimary = existing.length > 0 && existing[0].key === sortKey
+        sortings = [{ key: sortKey, direction: isPrimary ? reverse(existing[0]) : direction }]
+    } else if (current == null) {
+        sortings = [...existing, { key: sortKey, direction }]
+    } else {
+        sortings = existing.map(sorting =>
+            sorting.key === sortKey ? { ...sorting, direction: reverse(sorting) } : sorting
+        )
+    }
+    return {
+        ...oldState,
+        [key]: sortings,
+    }
+}
+
+/**
+ * Creates the initial state of a table, combining sorting, filtering, text search and pagination. The state is
+ * updated via tableStateReducer and applied to a list of rows via getTableRows.
+ * @param {Object} options - optional initial values: sorting (a sort key, list of keys or list of sorting
+ * definitions), filters (JSON object mapping filter ids to filters), search (text), page (0-based) and pageSize
+ * (default 25)
+ * @returns {Object} the table state
+ */
+export const initTableState = (options = {}) => {
+    const { sorting = [], filters = {}, search = "", page = 0, pageSize = DEFAULT_PAGE_SIZE } = options
+    const sortings = [].concat(sorting).map(s => (typeof s === "string" ? initSorting(s) : s))
+    return { sorting: sortings, filters, search, page, pageSize }
+}
+
+/**
+ * Reducer updating a table state without modifying it. Changing the filters, search or page size resets the page
+ * to the first one. Can be used directly with React's useReducer or within a Redux reducer.
+ * @param {Object} state - the current table state (see initTableState)
+ * @param {Object} action - one of the following actions (see TABLE_ACTIONS):
+ * - { type: SORT, key, append } - sort by key, append adds a secondary key (see updateMultiSorting)
+ * - { type: FILTER, id, filter } - sets the filter with the given id, a null filter removes it. A filter is either
+ * a function (item) => boolean or a JSON object with a key (can contain . for nested levels) and either a value
+ * (or list of accepted values) or a predicate (value, item) => boolean
+ * - { type: SEARCH, text } - sets the search text
+ * - { type: PAGE, page } - changes the page (0-based)
+ * - { type: PAGE_SIZE, pageSize } - changes the number of rows per page
+ * @returns {Object} the updated table state or the provided state for unknown actions
+ */
+export const tableStateReducer = (state, action) => {
+    switch (action.type) {
+        case TABLE_ACTIONS.SORT:
+            return updateMultiSorting(state, action.key, action.append === true)
+        case TABLE_ACTIONS.FILTER: {
+            const filters = { ...state.filters }
+            if (action.filter == null) {
+                delete filters[action.id]
+            } else {
+                filters[action.id] = action.filter
+            }
+            return { ...state, filters, page: 0 }
+        }
+        case TABLE_ACTIONS.SEARCH:
+            return { ...state, search: action.text == null ? "" : action.text, page: 0 }
+        case TABLE_ACTIONS.PAGE:
+            return { ...state, page: Math.max(0, action.page) }
+        case TABLE_ACTIONS.PAGE_SIZE:
+            return { ...state, pageSize: action.pageSize, page: 0 }
+        default:
+            return state
+    }
+}
+
+/**
+ * Finds out if an array of values occurs in another array of values. This is useful for filtering lists, which
+ * have multiple values for an attribute and you want the user to be able to filter by some of the values.
+ * @param {Array} values - a list of values that you want to check match some items in matchAgainst. If empty,
+ * false will be returned
+ * @param {Array} matchAgainst - a list of selected filters. If the array is empty, false will be returned.
+ * @param {Number} minMatch - the number of items in matchAgainst that have to be in the values.
+ * @returns {boolean} a boolean indicating, whether enough items in values match against the list of matchAgainst,
+ * where "enough" is determined by the minMatch argument.
+ */
+export const arrayMatch = (values = [], matchAgainst = [], minMatch = 1) => {
+    return values.filter(val => matchAgainst.includes(val)).length >= minMatch
+}
+
+/**
+ * Applies a table state to a list of rows: filters, searches, sorts and finally extracts the current page. The
+ * provided list is not modified.
+ * @param {Array} rows - the full list of rows
+ * @param {Object} state - the table state (see initTableState)
+ * @param {Object} options - optional: searchKeys (list of keys, can contain . for nested levels, the search text
+ * is matched against - default: all top-level keys; only simple values and dates are searched) and sortOptions
+ * (options passed to multiSort)
+ * @returns {Object} a JSON object with the visible rows, the total number of rows matching the filters and search,
+ * the page (limited to the available pages), the pageSize and the pageCount
+ */
+export const getTableRows = (rows, state, options = {}) => {
+    const { searchKeys = null, sortOptions = {} } = options
+    const filters = Object.values(state.filters || {}).map(filter => {
+        if (typeof filter === "function") {
+            return filter
+        }
+        if (typeof filter.predicate === "function") {
+            return item => filter.predicate(jsonGet(item, filter.key), item)
+        }
+        const accepted = [].concat(filter.value)
+        if (filter.value == null || accepted.length === 0) {
+            // no value selected, nothing to filter
+            return () => true
+        }
+        return item => {
+            const value = jsonGet(item, filter.key)
+            return Array.isArray(value) ? arrayMatch(value, accepted) : accepted.includes(value)
+        }
+    })
+    const search = `${state.search == null ? "" : state.search}`.trim().toLowerCase()
+    if (search !== "") {
+        filters.push(item => {
+            const keys = searchKeys == null ? Object.keys(item) : searchKeys
+            return keys.some(key => {
+                const value = jsonGet(item, key)
+                // only search simple values and dates (nested objects would match "[object Object]")
+                const searchable =
+                    value != null && (typeof value !== "object" || value instanceof Date || DateTime.isDateTime(value))
+                return searchable && `${value}`.toLowerCase().includes(search)
+            })
+        })
+    }
+
+    const matching = rows.filter(item => filters.every(filter => filter(item)))
+    if (state.sorting != null && [].concat(state.sorting).length > 0) {
+        matching.sort(multiSort(state.sorting, sortOptions))
+    }
+
+    const pageSize = state.pageSize == null || state.pageSize <= 0 ? matching.length : state.pageSize
+    const pageCount = pageSize === 0 ? 1 : Math.ceil(matching.length / pageSize)
+    const page = Math.min(Math.max(0, state.page || 0), Math.max(0, pageCount - 1))
+    return {
+        rows: matching.slice(page * pageSize, (page + 1) * pageSize),
+        total: matching.length,
+        page,
+        pageSize,
+        pageCount,
+    }
+}
+
+/**
+ * A function that will map a list of items to a JSON object which contains keys extracted from each item
+ * and the value is the object from that list with that key. By default, if multiple values map to the same keys an
+ * array of objects will be mapped to that key. Use the mode option for predictable value shapes.
+ * @param {Array} list - a list of items
+ * @param {string|function} keyOrFunction - a string key (can contain . for nested levels) or a lambda that does
+ * the extraction for each item.
+ * @param {Object} options - optional settings:
+ * - mode: one of the KEY_MAPPING_MODES: "auto" (default, single item or list of items for duplicate keys),
+ *   "array" (always a list), "first" (first item wins), "last" (last item wins), "throw" (throws an error for
+ *   duplicate keys) or a function (existing, value, key) => merged value
+ * - value: a key (can contain . for nested levels) or function extracting the value to store from each item -
+ *   default: the item itself
+ * @returns {Object} a json object mapping from key to an item or list of items
+ */
+export const mapListToKeyObject = (list, keyOrFunction, options = {}) => {
+    const { mode = KEY_MAPPING_MODES.AUTO, value = null } = options
+    const result = {}
+    if (list == null || keyOrFunction == null || list.forEach == null) {
+        return result
+    }
+    if (typeof mode !== "function" && !Object.values(KEY_MAPPING_MODES).includes(mode)) {
+        throw Error(`Unsupported key mapping mode '${mode}'`)
+    }
+
+    // check if it's a simple key mapping or lambda
+    const lambda = createAccessor(keyOrFunction)
+    const getValue = createAccessor(value)
+    // keys of the AUTO mode that already have been converted to a list of items
+    const listKeys = new Set()
+    list.forEach(item => {
+        const key = lambda(item)
+        const mapped = getValue(item)
+        const exists = Object.prototype.hasOwnProperty.call(result, key)
+        if (mode === KEY_MAPPING_MODES.ARRAY) {
+            if (!exists) {
+                result[key] = []
+            }
+            result[key].push(mapped)
+        } else if (!exists || (mode === KEY_MAPPING_MODES.AUTO && result[key] == null)) {
+            // first item for this key
+            result[key] = mapped
+        } else if (mode === KEY_MAPPING_MODES.LAST) {
+            result[key] = mapped
+        } else if (mode === KEY_MAPPING_MODES.THROW) {
+            throw Error(`Duplicate key '${key}'`)
+        } else if (typeof mode === "function") {
+            result[key] = mode(result[key], mapped, key)
+        } else if (mode === KEY_MAPPING_MODES.AUTO) {
+            // multiple items for the same key (might have to convert to array)
+            if (!listKeys.has(key)) {
+                // not yet converted, wrap the old item stored there (which might be an array of the caller)
+                result[key] = [result[key]]
+                listKeys.add(key)
+            }
+            // push the new item
+            result[key].push(mapped)
+        }
+    })
+
+    return result
+}
+
+/**
+ * Retrieves the last element of an array of the defaultValue, if the array is empty or not an array.
+ * @param {Array} array - an array of items
+ * @param {Object} defaultValue - the default value that will be returned if the provided array is empty or not an array.
+ * @returns {Object} the last element of the provided array or the default value
+ */
+export const getLast = (array, defaultValue = null) => {
+    if (array == null || !Array.isArray(array) || array.length === 0) {
+        return defaultValue
+    }
+    return array[array.length - 1]
+}
+
+/**
+ * Will return the first element of an array that matches the provided filter function. If no element matches, null
+ * will be returned.
+ * @param {Array} array - an array of items
+ * @param {function} filterFunction - a function that will be applied to each item in the array.
+ * @returns {Object} the first element of the array that matches the filter function or null, if no element matches.
+ */
+export const arraySearch = (array, filterFunction) => {
+    const filtered = array.filter(filterFunction)
+    if (filtered.length === 0) {
+        return null
+    }
+    return filtered[0]
+}
+
+/**
+ * Adds or updates an item in a list of items and returns the updated list. This is useful for React state updates.
+ * @param {Array} list - a list of items
+ * @param {Object} item - a JSON object to be added to the list or updated, if it already exists
+ * @param {string} idKey - the JSON key pointing to the element ID of the item and items in the list
+ * @returns {Array} the updated array with the provided `item` either added or updated.
+ */
+export const integrateDbItem = (list, item, idKey = "_id") => {
+    const index = list.map(i => i[idKey]).indexOf(item[idKey])
+    if (index === -1) {
+        list.push(item)
+    } else {
+        list[index] = item
+    }
+    return list
+}
+
+/**
+ * Removes an item from a list by referring to the unique item id. This is a simple id filter. Useful for React state updates.
+ * @param {Array} list - a list of items
+ * @param {string} itemId - the id of the item to remove
+ * @param {string} idKey - the JSON key pointing to the element ID of the item and items in the list
+ * @returns {Array} the provided list minus the element with the id provided.
+ */
+export const removeDbItem = (list, itemId, idKey = "_id") => {
+    return list.filter(item => item[idKey] !== itemId)
+}
+
+/**
+ * Creates a keyed collection of items (e.g. DB items received via REST or websocket updates), which provides
+ * lookups by id in constant time and batch updates with a single pass over the list.
+ * @param {Array} items - optional: the initial items; items with duplicate ids are merged according to the
+ * merge option, items without id throw an error
+ * @param {Object} options - optional settings:
+ * - idKey: the key of the id (can contain . for nested levels), a list of keys for composite ids or a function
+ *   item => id - default "_id"
+ * - immutable: true to return a new collection (with a new items list) for every change, false to modify the
+ *   collection in place - default true
+ * - merge: false to replace existing items, true to merge the properties of updates into existing items or a
+ *   function (existing, update) => item - default false
+ * @returns {Object} the collection with:
+ * - items: the list of items
+ * - size: the number of items
+ * - getId(item): the id of an item (a list of values for composite ids)
+ * - get(id): the item with the id or null
+ * - has(id): whether an item with the id exists
+ * - upsert(items, options): adds or updates an item or list of items, options can override merge. Throws an error,
+ *   if an item has no id
+ * - remove(ids): removes an item or list of items by their id (or the items themselves)
+ */
+export const createCollection = (items = [], options = {}) => {
+    const { idKey = "_id", immutable = true, merge = false } = options
+    let getId = createAccessor(idKey)
+    if (Array.isArray(idKey)) {
+        const accessors = idKey.map(createAccessor)
+        getId = item => accessors.map(accessor => accessor(item))
+    }
+    const toKey = id => (Array.isArray(id) ? JSON.stringify(id) : id)
+    const mergeItems = mode => {
+        if (typeof mode === "function") {
+            return mode
+        }
+        return mode ? (existing, update) => ({ ...existing, ...update }) : (existing, update) => update
+    }
+
+    const create = (list, index) => {
+        const collection = {
+            items: list,
+            get size() {
+                return list.length
+            },
+            getId: item => getId(item),
+            get: id => {
+                const position = index.get(toKey(id))
+                return position == null ? null : list[position]
+            },
+            has: id => index.has(toKey(id)),
+            upsert(updates, upsertOptions = {}) {
+                const combine = mergeItems(upsertOptions.merge != null ? upsertOptions.merge : merge)
+                const newList = immutable ? list.slice() : list
+                const newIndex = immutable ? new Map(index) : index
+                const updateList = Array.isArray(updates) ? updates : [updates]
+                // validate all ids first, so a failing batch doesn't leave a partially updated collection
+                const keys = updateList.map(item => {
+                    const id = getId(item)
+                    if (id == null || (Array.isArray(id) && id.some(part => part == null))) {
+                        throw Error(`Collection item without id: ${JSON.stringify(item)}`)
+                    }
+                    return toKey(id)
+                })
+                updateList.forEach((item, itemIndex) => {
+                    const key = keys[itemIndex]
+                    if (newIndex.has(key)) {
+                        const position = newIndex.get(key)
+                        newList[position] = combine(newList[position], item)
+                    } else {
+                        newIndex.set(key, newList.length)
+                        newList.push(item)
+                    }
+                })
+                return immutable ? create(newList, newIndex) : collection
+            },
+            remove(ids) {
+                // a single composite id is a list of values itself
+                const isIdList = Array.isArray(ids) && (!Array.isArray(idKey) || Array.isArray(ids[0]))
+                const keys = new Set(
+                    (isIdList ? ids : [ids]).map(id => toKey(isContainer(id) && !Array.isArray(id) ? getId(id) : id))
+                )
+                const remaining = list.filter(item => !keys.has(toKey(getId(item))))
+                if (remaining.length === list.length) {
+                    return collection
+                }
+                const newIndex = new Map(remaining.map((item, position) => [toKey(getId(item)), position]))
+                if (immutable) {
+                    return create(remaining, newIndex)
+                }
+                list.length = 0
+                remaining.forEach(item => list.push(item))
+                index.clear()
+                newIndex.forEach((position, key) => index.set(key, position))
+                return collection
+            },
+        }
+        return collection
+    }
+
+    return create([], new Map()).upsert(items || [])
+}
+
+/**
+ * Returns all unique values in a list of values. All duplicates will be removed. This does not modify the original
+ * list.
+ * @param {Array} values - a list of values
+ * @returns {Array} a list of unique values
+ */
+export const uniqueValues = values => {
+    return [...new Set(values)]
+}
+
+export const groupObjects = (objects, key = null, count = false) => {
+    /**
+     * Groups a list of items together by a key determined from the list item and supports counting items as well.
+     * @param {Array} objects - a list of values (either simple or complex objects)
+     * @param {function|string|Array} key - an optional function or key (can contain . for nested levels) that is
+     * used to determine the key from the item. A list of keys / functions creates nested groups (one level per
+     * key). If not provided, the entire item is used as key (this only works if the items contained in the list of
+     * objects are valid json keys)
+     * @param {boolean|Object} count - a flag indicating whether to collect a list of items or the number of items
+     * (true) or an object with aggregation options:
+     * - aggregation: "count", "sum", "mean", "median", "min", "max" or a function receiving the list of values
+     *   (see aggregateBuckets)
+     * - value: the key or function extracting the value to aggregate from each item
+     * @returns {object} a json object with the keys as keys and the count (if count is true), the aggregated value
+     * or the list of values as values (nested for multiple keys).
+     */
+    const keys = (Array.isArray(key) ? key : [key]).map(createAccessor)
+    const options = count != null && typeof count === "object" ? count : {}
+    const { aggregation = count === true ? "count" : null, value = null } = options
+    const group = (items, level) => {
+        const result = {}
+        items.forEach(item => {
+            const k = keys[level](item)
+            // keys like "constructor" must not resolve to members of the object prototype
+            if (!Object.prototype.hasOwnProperty.call(result, k)) {
+                result[k] = []
+            }
+            result[k].push(item)
+        })
+        if (level < keys.length - 1) {
+            Object.keys(result).forEach(k => {
+                result[k] = group(result[k], level + 1)
+            })
+            return result
+        }
+        return aggregation == null ? result : aggregateBuckets(result, aggregation, value)
+    }
+    return group(objects, 0)
+}
+
+export const sortGrouping = (grouping, reverse = true, countKey = "total", countExec = null) => {
+    /**
+     * Sorts a grouping by a counter/total value determined for each value of the input.
+     * @param {object} grouping - a json object with key > [values]
+     * @param {boolean} reverse - if true, the items will be sorted from highest to lowest (default).
+     * @param {str} countKey - the result will contain a list of json objects, with the countKey providing the json
+     * key used to store the total/counter value by which the list is sorted.
+     * @param {function} countExec - an optional lambda/function that is used to determine the counter value for
+     * each key. The countExec gets one parameter, which is the list of values for each key and the result needs to
+     * be numeric.
+     * @returns {Array} a list of json objects, where each object contains keys: "key" (storing the key from the
+     * grouping), "value" (storing the list of values underneath the key), "total" (or whatever is provided as
+     * countKey - storing either the length of the list of values, if countExec is null or the counter value
+     * determined by the countExec function)
+     */
+    const result = []
+    Object.keys(grouping).forEach(k => {
+        const v = grouping[k]
+        let count = v // default case, if values are numbers
+        if (Array.isArray(v)) {
+            // list provided, either measure the length or call the count exec function on the list
+            count = countExec == null ? v.length : countExec(v)
+        }
+        const resultItem = { key: k, value: v }
+        resultItem[countKey] = count
+        result.push(resultItem)
+    })
+
+    // sorting
+    return result.sort((a, b) => (reverse === true ? b[countKey] - a[countKey] : a[countKey] - b[countKey]))
+}
+
+/**
+ * Creates a pivot table (cross-tab) from a list of objects with rows grouped by one key and columns grouped by
+ * another key. Each cell aggregates the objects of its row and column.
+ * @param {Array} objects - a list of objects
+ * @param {(string|function)} rowKey - the key (can contain . for nested levels) or function determining the row
+ * @param {(string|function)} columnKey - the key or function determining the column
+ * @param {Object} options - optional settings:
+ * - aggregation: "count" (default), "sum", "mean", "median", "min", "max" or a function (see aggregateBuckets)
+ * - value: the key or function extracting the value to aggregate from each object
+ * @returns {Object} the pivot table with:
+ * - rowKeys / columnKeys: the row / column keys in order of their first occurrence
+ * - cells: a nested object row > column > aggregated value (empty cells are aggregated from an empty list)
+ * - rowTotals / columnTotals: the aggregated values of all objects of each row / column
+ * - total: the aggregated value of all objects
+ * - rows: a flat list of rows { key, [column]: value, total } for tables or charts
+ */
+export const pivot = (objects, rowKey, columnKey, options = {}) => {
+    const { aggregation = "count", value = null } = options
+    const aggregate = items => aggregateBuckets({ items }, aggregation, value).items
+    const getRow = createAccessor(rowKey)
+    const getColumn = createAccessor(columnKey)
+    const items = objects || []
+
+    const rowKeys = uniqueValues(items.map(getRow))
+    const columnKeys = uniqueValues(items.map(getColumn))
+    const grouped = groupObjects(items, [getRow, getColumn])
+    const cells = {}
+    rowKeys.forEach(row => {
+        cells[row] = {}
+        columnKeys.forEach(column => {
+            const cellItems = Object.prototype.hasOwnProperty.call(grouped[row], column) ? grouped[row][column] : []
+            cells[row][column] = aggregate(cellItems)
+        })
+    })
+    const rowTotals = aggregateBuckets(groupObjects(items, getRow), aggregation, value)
+    const columnTotals = aggregateBuckets(groupObjects(items, getColumn), aggregation, value)
+    return {
+        rowKeys,
+        columnKeys,
+        cells,
+        rowTotals,
+        columnTotals,
+        total: aggregate(items),
+        rows: rowKeys.map(row => ({ key: row, ...cells[row], total: rowTotals[row] })),
+    }
+}
+
+/**
+ * Runs an aggregation pipeline on a list of objects: group by one or more keys, aggregate each group, sort the
+ * groups and optionally keep only the top N groups, combining the remaining groups into an "other" group. For
+ * multiple keys, sorting and limiting is applied within each parent group.
+ * @param {Array} objects - a list of objects
+ * @param {Object} options - settings:
+ * - groupBy: a key (can contain . for nested levels), a function or a list of keys / functions for nested groups
+ * - aggregation: "count" (default), "sum", "mean", "median", "min", "max" or a function (see aggregateBuckets)
+ * - value: the key or function extracting the value to aggregate from each object
+ * - sort: "value" (default), "key", null to keep the order of first occurrence or a compare function for the
+ *   groups { key, value, count }
+ * - direction: one of the SORT_DIRECTIONS (default: "desc" for sorting by value, "asc" for sorting by key)
+ * - limit: the maximum number of groups per level (default: no limit)
+ * - otherKey: the key of the group combining the groups exceeding the limit (default "other"), null to drop them
+ * @returns {Object} the result with:
+ * - groups: the sorted list of groups { key, value, count, items, children } (children for nested groups)
+ * - nested: a JSON object key > value (or nested objects for multiple keys)
+ * - rows: a flat list of the innermost groups { keys, key, value, count } for tables or charts
+ */
+export const aggregateGroups = (objects, options = {}) => {
+    const {
+        groupBy,
+        aggregation = "count",
+        value = null,
+        sort: sortBy = "value",
+        limit = null,
+        otherKey = "other",
+    } = options
+    const direction = options.direction || (sortBy === "key" ? SORT_DIRECTIONS.ASC : SORT_DIRECTIONS.DESC)
+    const keys = (Array.isArray(groupBy) ? groupBy : [groupBy]).map(createAccessor)
+    const aggregate = items => aggregateBuckets({ items }, aggregation, value).items
+    let compare = null
+    if (typeof sortBy === "function") {
+        compare = sortBy
+    } else if (sortBy != null) {
+        compare = multiSort({ key: sortBy, direction })
+    }
+
+    const build = (items, level) => {
+        const grouped = new Map()
+        items.forEach(item => {
+            const key = keys[level](item)
+            if (!grouped.has(key)) {
+                grouped.set(key, [])
+            }
+            grouped.get(key).push(item)
+        })
+        let groups = [...grouped.entries()].map(([key, list]) => ({
+            key,
+            value: aggregate(list),
+            count: list.length,
+            items: list,
+        }))
+        if (compare != null) {
+            groups.sort(compare)
+        }
+        if (limit != null && groups.length > limit) {
+            const rest = [].concat(...groups.slice(limit).map(group => group.items))
+            groups = groups.slice(0, limit)
+            if (otherKey != null) {
+                groups.push({ key: otherKey, value: aggregate(rest), count: rest.length, items: rest, other: true })
+            }
+        }
+        if (level < keys.length - 1) {
+            groups.forEach(group => {
+                group.children = build(group.items, level + 1)
+            })
+        }
+        return groups
+    }
+
+    const toNested = groups => {
+        const result = {}
+        groups.forEach(group => {
+            result[group.key] = group.children ? toNested(group.children) : group.value
+        })
+        return result
+    }
+    const toRows = (groups, parentKeys = []) =>
+        [].concat(
+            ...groups.map(group => {
+                const groupKeys = [...parentKeys, group.key]
+                if (group.children) {
+                    return toRows(group.children, groupKeys)
+                }
+                return [{ keys: groupKeys, key: group.key, value: group.value, count: group.count }]
+            })
+        )
+
+    const groups = build(objects || [], 0)
+    return { groups, nested: toNested(groups), rows: toRows(groups) }
+}
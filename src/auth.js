@@ -0,0 +1,231 @@
+import { DateTime } from "luxon"
+import { LS_AUTH_KEY } from "./helpers"
+
+// storages that can be used to store the auth token (besides custom adapters)
+export const AUTH_STORAGE_TYPES = {
+    LOCAL: "local",
+    SESSION: "session",
+    MEMORY: "memory",
+}
+
+/**
+ * Creates a storage adapter keeping its items in memory, providing the same interface as the browser's localStorage.
+ * @returns {object} a storage adapter with the functions getItem, setItem and removeItem
+ */
+export const createMemoryStorage = () => {
+    const items = {}
+    return {
+        getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = `${value}`
+        },
+        removeItem: key => {
+            delete items[key]
+        },
+    }
+}
+
+// used whenever the browser storage is not available (e.g. server-side rendering)
+const fallbackStorage = createMemoryStorage()
+
+// the storage type or custom adapter used to store the auth token
+let authStorage = AUTH_STORAGE_TYPES.LOCAL
+
+// optional hook consulted before an expired auth token is used: { handler, leeway }
+let tokenRefresh = null
+
+/**
+ * Decodes a base64url encoded string (as used in JWTs) into a UTF-8 string.
+ * @param {string} value - the base64url encoded value
+ * @returns {string} the decoded string
+ */
+const decodeBase64Url = value => {
+    const base64 = value
+        .replace(/-/g, "+")
+        .replace(/_/g, "/")
+        .padEnd(Math.ceil(value.length / 4) * 4, "=")
+    if (typeof atob === "function") {
+        const binary = atob(base64)
+        // convert the binary string into UTF-8
+        return decodeURIComponent(
+            binary
+                .split("")
+                .map(c => `%${`00${c.charCodeAt(0).toString(16)}`.slice(-2)}`)
+                .join("")
+        )
+    }
+    return Buffer.from(base64, "base64").toString("utf8")
+}
+
+/**
+ * Removes an auth scheme prefix like "Bearer " from a token.
+ * @param {string} token - the token, optionally including the auth scheme
+ * @returns {string} the token without auth scheme
+ */
+const stripAuthScheme = token => token.replace(/^\s*[A-Za-z]+\s+(?=\S)/, "")
+
+/**
+ * Resolves the storage adapter currently used to store the auth token. If the browser storage is not available
+ * (e.g. server-side), an in-memory storage is used instead.
+ * @returns {object} a storage adapter providing getItem, setItem and removeItem
+ */
+export const getAuthStorage = () => {
+    if (authStorage === AUTH_STORAGE_TYPES.LOCAL && typeof localStorage !== "undefined") {
+        return localStorage
+    }
+    if (authStorage === AUTH_STORAGE_TYPES.SESSION && typeof sessionStorage !== "undefined") {
+        return sessionStorage
+    }
+    if (Object.values(AUTH_STORAGE_TYPES).includes(authStorage)) {
+        return fallbackStorage
+    }
+    return authStorage
+}
+
+/**
+ * Removes the auth token from the auth storage.
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ */
+export const logout = (localStorageKey = LS_AUTH_KEY) => {
+    getAuthStorage().removeItem(localStorageKey)
+}
+
+/**
+ * Decodes the payload (claims) of a JSON web token. The signature is NOT verified.
+ * @param {string} token - the JWT, optionally prefixed by an auth scheme like "Bearer "
+ * @returns {object} the claims of the token or null, if the token is not a valid JWT
+ */
+export const decodeJwt = token => {
+    if (typeof token !== "string") {
+        return null
+    }
+    const parts = stripAuthScheme(token).split(".")
+    if (parts.length !== 3) {
+        return null
+    }
+    try {
+        const claims = JSON.parse(decodeBase64Url(parts[1]))
+        return claims != null && typeof claims === "object" ? claims : null
+    } catch (err) {
+        return null
+    }
+}
+
+/**
+ * Reads the expiry ("exp" claim) of a JSON web token.
+ * @param {string} token - the JWT, optionally prefixed by an auth scheme like "Bearer "
+ * @returns {DateTime} the expiry as Luxon DateTime or null, if the token is no JWT or doesn't expire
+ */
+export const getTokenExpiry = token => {
+    const claims = decodeJwt(token)
+    if (claims == null || typeof claims.exp !== "number") {
+        return null
+    }
+    return DateTime.fromSeconds(claims.exp)
+}
+
+/**
+ * Checks whether a JSON web token is expired. Tokens that are no JWT or don't have an expiry never expire.
+ * @param {string} token - the JWT, optionally prefixed by an auth scheme like "Bearer "
+ * @param {number} leeway - optional number of seconds before the actual expiry to consider the token expired
+ * @returns {boolean} true if the token is expired
+ */
+export const isTokenExpired = (token, leeway = 0) => {
+    const expiry = getTokenExpiry(token)
+    if (expiry == null) {
+        return false
+    }
+    return expiry.toSeconds() - leeway <= DateTime.now().toSeconds()
+}
+
+/**
+ * Retrieves the auth token from the auth storage. If the token is an expired JWT and a refresh handler has been
+ * registered, the handler is consulted first.
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ * @param {boolean} [stripPrefix]: optional flag to remove an auth scheme like "Bearer " from the token
+ * @returns {string} the stored token or null, if no token is stored
+ */
+export const getAuthToken = (localStorageKey = LS_AUTH_KEY, stripPrefix = false) => {
+    const storage = getAuthStorage()
+    let token = storage.getItem(localStorageKey)
+    if (token != null && tokenRefresh != null && isTokenExpired(token, tokenRefresh.leeway)) {
+        const newToken = tokenRefresh.handler(token, localStorageKey)
+        if (newToken != null && typeof newToken !== "string") {
+            // e.g. a promise, which would otherwise be stored as "[object Promise]"
+            const type = typeof newToken.then === "function" ? "a Promise" : typeof newToken
+            throw Error(`Token refresh handler has to return a string or null synchronously, but returned ${type}`)
+        }
+        if (newToken == null) {
+            logout(localStorageKey)
+        } else if (newToken !== token) {
+            storage.setItem(localStorageKey, newToken)
+        }
+        token = newToken == null ? null : newToken
+    }
+    if (token != null && stripPrefix) {
+        return stripAuthScheme(token)
+    }
+    return token
+}
+
+/**
+ * Retrieves a part of the header responsible for providing an auth token
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ * @returns {{Authorization: string}} a JSON containing the authorization header
+ */
+export const getAuthHeader = (localStorageKey = LS_AUTH_KEY) => {
+    return {
+        Authorization: getAuthToken(localStorageKey),
+    }
+}
+
+/**
+ * Stores a given auth token in the auth storage (default: the browsers local storage) to be used by the
+ * getAuthHeader and getAuthJsonHeader function.
+ * @param {string} token: the full token to be provided to the request as Authorization header
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ * @param {string} [prefix]: optional auth scheme (e.g. "Bearer") to prepend, unless the token already starts with it
+ */
+export const setAuthToken = (token, localStorageKey = LS_AUTH_KEY, prefix = null) => {
+    let value = token
+    if (prefix != null && !value.toLowerCase().startsWith(`${prefix.toLowerCase()} `)) {
+        value = `${prefix} ${value}`
+    }
+    getAuthStorage().setItem(localStorageKey, value)
+}
+
+/**
+ * Changes the storage used by all auth functions to store the auth token.
+ * @param {string|object} storage - one of the AUTH_STORAGE_TYPES or a custom adapter providing getItem(key),
+ * setItem(key, value) and removeItem(key) (e.g. for cookies)
+ */
+export const setAuthStorage = storage => {
+    const isAdapter =
+        storage != null && ["getItem", "setItem", "removeItem"].every(f => typeof storage[f] === "function")
+    if (!isAdapter && !Object.values(AUTH_STORAGE_TYPES).includes(storage)) {
+        throw Error("Auth storage has to be one of the AUTH_STORAGE_TYPES or provide getItem, setItem and removeItem")
+    }
+    authStorage = storage
+}
+
+/**
+ * Registers a hook, which is consulted by getAuthToken (and therefore all auth header functions) whenever the
+ * stored token is a JWT that is expired. The handler receives the expired token and the storage key and returns
+ * the token to use: a new token will be stored, null will log the user out. Any other return value (e.g. a Promise)
+ * causes getAuthToken to throw an error. Provide null to remove the hook.
+ * @param {function} handler - a function (token, localStorageKey) => token
+ * @param {number} leeway - optional number of seconds before the actual expiry to consult the handler (default: 0)
+ */
+export const setTokenRefreshHandler = (handler, leeway = 0) => {
+    tokenRefresh = handler == null ? null : { handler, leeway }
+}
+
+/**
+ * Checks if an auth token is stored and - in case of a JWT - not expired.
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ * @returns {boolean} true if a valid token is available
+ */
+export const isAuthenticated = (localStorageKey = LS_AUTH_KEY) => {
+    const token = getAuthToken(localStorageKey)
+    return token != null && token !== "" && !isTokenExpired(token)
+}
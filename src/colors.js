@@ -0,0 +1,505 @@
+import { normalise } from "./numbers"
+
+/**
+ * Parses a single channel of a CSS colour function, which can be a number or a percentage.
+ * @param {string} value - the channel value, e.g. "128" or "50%"
+ * @param {number} scale - the value corresponding to 100%
+ * @returns {number} the numeric channel value
+ */
+const parseChannel = (value, scale) =>
+    value.endsWith("%") ? (parseFloat(value) / 100) * scale : parseFloat(value.replace("deg", ""))
+
+/**
+ * Converts HSL values into RGB values.
+ * @param {number} h - the hue (0-360)
+ * @param {number} s - the saturation (0-100)
+ * @param {number} l - the lightness (0-100)
+ * @returns {Array} a list with the red, green and blue value (0-255, not rounded)
+ */
+const hslToRgbValues = (h, s, l) => {
+    const saturation = s / 100
+    const lightness = l / 100
+    const a = saturation * Math.min(lightness, 1 - lightness)
+    const f = n => {
+        const k = (n + h / 30) % 12
+        return (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255
+    }
+    return [f(0), f(8), f(4)]
+}
+
+/**
+ * Converts RGB values into HSL values.
+ * @param {Object} rgba - the colour as { r, g, b } (0-255)
+ * @returns {Array} a list with the hue (0-360), saturation (0-100) and lightness (0-100)
+ */
+const rgbToHslValues = ({ r, g, b }) => {
+    const [red, green, blue] = [r / 255, g / 255, b / 255]
+    const max = Math.max(red, green, blue)
+    const min = Math.min(red, green, blue)
+    const l = (max + min) / 2
+    if (max === min) {
+        return [0, 0, l * 100]
+    }
+    const d = max - min
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+    let h
+    if (max === red) {
+        h = (green - blue) / d + (green < blue ? 6 : 0)
+    } else if (max === green) {
+        h = (blue - red) / d + 2
+    } else {
+        h = (red - green) / d + 4
+    }
+    return [h * 60, s * 100, l * 100]
+}
+
+/**
+ * Converts an sRGB channel (0-255) into a linear value (0-1).
+ * @param {number} channel - the sRGB channel value
+ * @returns {number} the linear channel value
+ */
+const toLinearChannel = channel => {
+    const c = channel / 255
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+}
+
+/**
+ * Converts a linear channel value (0-1) into an sRGB channel (0-255).
+ * @param {number} value - the linear channel value
+ * @returns {number} the sRGB channel value
+ */
+const fromLinearChannel = value => {
+    const c = value <= 0.0031308 ? 12.92 * value : 1.055 * value ** (1 / 2.4) - 0.055
+    return Math.min(255, Math.max(0, c * 255))
+}
+
+// D65 reference white and helpers for the CIE Lab colour space
+const LAB_WHITE = [0.95047, 1, 1.08883]
+
+const LAB_DELTA = 6 / 29
+
+const labF = t => (t > LAB_DELTA ** 3 ? Math.cbrt(t) : t / (3 * LAB_DELTA ** 2) + 4 / 29)
+
+const labFInverse = t => (t > LAB_DELTA ? t ** 3 : 3 * LAB_DELTA ** 2 * (t - 4 / 29))
+
+/**
+ * Converts RGB values into CIE Lab values.
+ * @param {Object} rgba - the colour as { r, g, b } (0-255)
+ * @returns {Array} a list with the L, a and b values
+ */
+const rgbToLabValues = ({ r, g, b }) => {
+    const [red, green, blue] = [r, g, b].map(toLinearChannel)
+    const x = labF((0.4124564 * red + 0.3575761 * green + 0.1804375 * blue) / LAB_WHITE[0])
+    const y = labF((0.2126729 * red + 0.7151522 * green + 0.072175 * blue) / LAB_WHITE[1])
+    const z = labF((0.0193339 * red + 0.119192 * green + 0.9503041 * blue) / LAB_WHITE[2])
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)]
+}
+
+/**
+ * Converts CIE Lab values into RGB values.
+ * @param {number} l - the lightness
+ * @param {number} a - the green-red component
+ * @param {number} b - the blue-yellow component
+ * @returns {Array} a list with the red, green and blue value (0-255, not rounded)
+ */
+const labToRgbValues = (l, a, b) => {
+    const fy = (l + 16) / 116
+    const x = LAB_WHITE[0] * labFInverse(fy + a / 500)
+    const y = LAB_WHITE[1] * labFInverse(fy)
+    const z = LAB_WHITE[2] * labFInverse(fy - b / 200)
+    return [
+        3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+        -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+        0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+    ].map(fromLinearChannel)
+}
+
+/**
+ * Parses a colour into its RGBA components.
+ * @param {(string|Array|Object)} color - a hex string (3, 4, 6 or 8 digits, with or without #), a CSS rgb(a) or hsl(a)
+ * string, an array [r, g, b] or [r, g, b, a] or an object { r, g, b, a }
+ * @returns {Object} the colour as { r, g, b, a } with r, g, b between 0 and 255 and a between 0 and 1
+ */
+const toRgba = color => {
+    if (Array.isArray(color)) {
+        const [r, g, b, a = 1] = color
+        return { r, g, b, a }
+    }
+    if (color != null && typeof color === "object" && color.r != null) {
+        return { r: color.r, g: color.g, b: color.b, a: color.a != null ? color.a : 1 }
+    }
+    const value = String(color).trim()
+    if (/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+        let hex = value.replace("#", "")
+        if (hex.length <= 4) {
+            hex = hex
+                .split("")
+                .map(digit => digit.repeat(2))
+                .join("")
+        }
+        const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a,
+        }
+    }
+    const match = value.match(/^(rgb|hsl)a?\((.*)\)$/i)
+    if (match != null) {
+        const parts = match[2].trim().split(/[\s,/]+/)
+        const a = parts.length > 3 ? parseChannel(parts[3], 1) : 1
+        if (match[1].toLowerCase() === "rgb") {
+            const [r, g, b] = parts.slice(0, 3).map(part => parseChannel(part, 255))
+            return { r, g, b, a }
+        }
+        const [r, g, b] = hslToRgbValues(...parts.slice(0, 3).map(part => parseChannel(part, 100)))
+        return { r, g, b, a }
+    }
+    throw Error(`Unsupported colour '${color}'`)
+}
+
+/**
+ * Formats RGBA components as colour string.
+ * @param {Object} rgba - the colour as { r, g, b, a }
+ * @param {string} format - "rgb", "hex" or "hsl"
+ * @returns {string} the colour string; the alpha channel is only included if the colour is not fully opaque
+ */
+const formatRgba = ({ r, g, b, a }, format) => {
+    const alpha = Math.round(a * 1000) / 1000
+    if (format === "hex") {
+        const channels = alpha < 1 ? [r, g, b, a * 255] : [r, g, b]
+        return `#${channels
+            .map(c =>
+                Math.round(c)
+                    .toString(16)
+                    .padStart(2, "0")
+            )
+            .join("")}`
+    }
+    if (format === "hsl") {
+        const [h, s, l] = rgbToHslValues({ r, g, b }).map(Math.round)
+        return alpha < 1 ? `hsla(${h}, ${s}%, ${l}%, ${alpha})` : `hsl(${h}, ${s}%, ${l}%)`
+    }
+    if (format !== "rgb") {
+        throw Error(`Unsupported colour format '${format}'`)
+    }
+    const [red, green, blue] = [r, g, b].map(Math.round)
+    return alpha < 1 ? `rgba(${red}, ${green}, ${blue}, ${alpha})` : `rgb(${red}, ${green}, ${blue})`
+}
+
+/**
+ * Interpolates between two colours.
+ * @param {Object} from - the start colour as { r, g, b, a }
+ * @param {Object} to - the end colour as { r, g, b, a }
+ * @param {number} t - the position between the colours (0 = from, 1 = to)
+ * @param {string} mode - the colour space used for the interpolation: "rgb", "hsl" or "lab"
+ * @returns {Object} the interpolated colour as { r, g, b, a }
+ */
+const interpolateRgba = (from, to, t, mode = "rgb") => {
+    const lerp = (x, y) => x + (y - x) * t
+    const a = lerp(from.a, to.a)
+    if (mode === "rgb") {
+        return { r: lerp(from.r, to.r), g: lerp(from.g, to.g), b: lerp(from.b, to.b), a }
+    }
+    let rgb
+    if (mode === "hsl") {
+        const [h1, s1, l1] = rgbToHslValues(from)
+        const [h2, s2, l2] = rgbToHslValues(to)
+        // use the hue of the other colour for greys and take the shortest way around the colour wheel
+        const start = s1 === 0 ? h2 : h1
+        let end = s2 === 0 ? h1 : h2
+        if (Math.abs(end - start) > 180) {
+            end += end > start ? -360 : 360
+        }
+        rgb = hslToRgbValues((lerp(start, end) + 360) % 360, lerp(s1, s2), lerp(l1, l2))
+    } else if (mode === "lab") {
+        const lab1 = rgbToLabValues(from)
+        const lab2 = rgbToLabValues(to)
+        rgb = labToRgbValues(...lab1.map((value, index) => lerp(value, lab2[index])))
+    } else {
+        throw Error(`Unsupported interpolation mode '${mode}'`)
+    }
+    return { r: rgb[0], g: rgb[1], b: rgb[2], a }
+}
+
+/**
+ * Determines the format of a colour to return results of colour manipulations in the same format.
+ * @param {(string|Array|Object)} color - any colour supported by toRgba
+ * @returns {string} "hsl" or "rgb" for the respective CSS strings, "hex" for other strings and "rgb" for arrays and
+ * objects
+ */
+const detectColorFormat = color => {
+    if (typeof color !== "string") {
+        return "rgb"
+    }
+    const match = color.trim().match(/^(rgb|hsl)/i)
+    return match != null ? match[1].toLowerCase() : "hex"
+}
+
+export const redBlueTricolor = [
+    [248, 105, 107], // red
+    [255, 255, 255], // white
+    [90, 138, 198], // blue
+]
+
+/**
+ * Returns the colour of a percentage on a tri-colour spectrum with the middle colour at 0.5. For more stops, other
+ * positions or colour spaces use createColorScale.
+ * @param {number} percent - the value between 0.0 and 1.0
+ * @param {Array} colors - optional: a list of 3 RGB arrays (default redBlueTricolor)
+ * @returns {string} a colour string like "rgb(255,255,255)"
+ */
+export const getTricolor = (percent, colors = redBlueTricolor) => {
+    const w1 = percent <= 0.5 ? normalise(percent, 0, 0.5) : normalise(percent, 0.5, 1)
+    const w2 = 1 - w1
+
+    const color1 = percent > 0.5 ? colors[2] : colors[1]
+    const color2 = percent > 0.5 ? colors[1] : colors[0]
+
+    const rgb = [
+        Math.round(color1[0] * w1 + color2[0] * w2),
+        Math.round(color1[1] * w1 + color2[1] * w2),
+        Math.round(color1[2] * w1 + color2[2] * w2),
+    ]
+    return `rgb(${rgb.join(",")})`
+}
+
+export const redGreenTricolor = [
+    [180, 30, 30], // red
+    [160, 160, 70], // yellow
+    [30, 180, 30], // green
+]
+
+/**
+ * Named colour palettes usable as stops for createColorScale (e.g. createColorScale("viridis")).
+ */
+export const colorPalettes = {
+    redBlue: ["#f8696b", "#ffffff", "#5a8ac6"],
+    redGreen: ["#b41e1e", "#a0a046", "#1eb41e"],
+    redYellowGreen: ["#d73027", "#fee08b", "#1a9850"],
+    blues: ["#f7fbff", "#6baed6", "#08306b"],
+    greys: ["#ffffff", "#969696", "#000000"],
+    viridis: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+    plasma: ["#0d0887", "#7e03a8", "#cc4778", "#f89540", "#f0f921"],
+}
+
+/**
+ * Parses a colour into its red, green, blue and alpha components.
+ * @param {(string|Array|Object)} color - a hex string (3, 4, 6 or 8 digits, with or without #), a CSS rgb(a) or
+ * hsl(a) string, an array [r, g, b] or [r, g, b, a] or an object { r, g, b, a }
+ * @returns {Object} the colour as { r, g, b, a } with r, g, b between 0 and 255 and a between 0 and 1
+ */
+export const parseColor = color => {
+    return toRgba(color)
+}
+
+/**
+ * Converts a colour into a CSS colour string of the given format. The alpha channel is only included if the colour
+ * is not fully opaque.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor
+ * @param {string} format - optional: "rgb" (default), "hex" or "hsl"
+ * @returns {string} the colour string, e.g. "rgb(255, 0, 0)", "#ff000080" or "hsla(0, 100%, 50%, 0.5)"
+ */
+export const formatColor = (color, format = "rgb") => {
+    return formatRgba(toRgba(color), format)
+}
+
+/**
+ * Translates a colour into a hex colour code.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor, e.g. "rgb(255, 0, 0)" or [255, 0, 0]
+ * @returns {string} a hex colour code like "#ff0000" (with 8 digits, if the colour is transparent)
+ */
+export const rgbToHex = color => {
+    return formatColor(color, "hex")
+}
+
+/**
+ * Translates a colour into a HSL string.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor, e.g. "#ff0000" or [255, 0, 0]
+ * @returns {string} a colour string like "hsl(0, 100%, 50%)" or "hsla(0, 100%, 50%, 0.5)"
+ */
+export const rgbToHsl = color => {
+    return formatColor(color, "hsl")
+}
+
+/**
+ * Translates a HSL colour into an RGB string.
+ * @param {(string|Array)} color - a HSL string like "hsl(120, 50%, 50%)" or an array [h, s, l] or [h, s, l, a] with
+ * hue between 0 and 360 and saturation / lightness between 0 and 100
+ * @returns {string} a colour string like "rgb(64, 191, 64)"
+ */
+export const hslToRgb = color => {
+    if (Array.isArray(color)) {
+        const [h, s, l, a = 1] = color
+        const [r, g, b] = hslToRgbValues(h, s, l)
+        return formatRgba({ r, g, b, a }, "rgb")
+    }
+    return formatColor(color, "rgb")
+}
+
+/**
+ * Creates a colour scale function mapping numeric values to colours by interpolating between any number of stops.
+ * @param {(Array|string)} stops - a list of colours (any format supported by parseColor), which are evenly spaced,
+ * a list of { position, color } objects with positions between 0 and 1 or the name of a colour palette (see
+ * colorPalettes)
+ * @param {Object} options - optional settings:
+ * - domain: the [min, max] values mapped to the first and last stop (default [0, 1]); values outside are clamped
+ * - mode: the colour space used for interpolation: "rgb" (default), "hsl" or "lab"
+ * - format: the format of the returned colours: "rgb" (default), "hex" or "hsl"
+ * - classes: optional number of discrete colours for quantised scales (e.g. for legends)
+ * @returns {function} a function value => colour string, returning null for non-numeric values
+ */
+export const createColorScale = (stops, options = {}) => {
+    const { domain = [0, 1], mode = "rgb", format = "rgb", classes = null } = options
+    const stopList = typeof stops === "string" ? colorPalettes[stops] : stops
+    if (stopList == null || stopList.length === 0) {
+        throw Error(`Unsupported colour stops '${stops}'`)
+    }
+    const colorStops = stopList
+        .map((stop, index) => {
+            const hasPosition = stop != null && stop.color != null
+            return {
+                position: hasPosition ? stop.position : index / Math.max(1, stopList.length - 1),
+                color: toRgba(hasPosition ? stop.color : stop),
+            }
+        })
+        .sort((a, b) => a.position - b.position)
+    const [start, end] = domain
+    return value => {
+        if (typeof value !== "number" || Number.isNaN(value)) {
+            return null
+        }
+        let t = start > end ? 1 - normalise(value, end, start) : normalise(value, start, end)
+        if (classes != null) {
+            // snap to the evenly spaced colours of the classes
+            t = classes > 1 ? Math.min(classes - 1, Math.floor(t * classes)) / (classes - 1) : 0.5
+        }
+        const upperIndex = colorStops.findIndex(stop => stop.position >= t)
+        if (upperIndex === -1) {
+            return formatRgba(colorStops[colorStops.length - 1].color, format)
+        }
+        if (upperIndex === 0) {
+            return formatRgba(colorStops[0].color, format)
+        }
+        const lower = colorStops[upperIndex - 1]
+        const upper = colorStops[upperIndex]
+        const position = (t - lower.position) / (upper.position - lower.position)
+        return formatRgba(interpolateRgba(lower.color, upper.color, position, mode), format)
+    }
+}
+
+/**
+ * Computes the relative luminance of a colour as defined by the WCAG. The alpha channel is ignored.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor
+ * @returns {number} the luminance between 0 (black) and 1 (white)
+ */
+export const getLuminance = color => {
+    const { r, g, b } = toRgba(color)
+    return 0.2126 * toLinearChannel(r) + 0.7152 * toLinearChannel(g) + 0.0722 * toLinearChannel(b)
+}
+
+/**
+ * Computes the WCAG contrast ratio between two colours. The order of the colours doesn't matter.
+ * @param {(string|Array|Object)} color1 - any colour supported by parseColor
+ * @param {(string|Array|Object)} color2 - any colour supported by parseColor
+ * @returns {number} the contrast ratio between 1 (no contrast) and 21 (black on white)
+ */
+export const getContrastRatio = (color1, color2) => {
+    const luminances = [getLuminance(color1), getLuminance(color2)].sort((a, b) => b - a)
+    return (luminances[0] + 0.05) / (luminances[1] + 0.05)
+}
+
+/**
+ * Checks whether a text colour on a background colour meets the WCAG contrast requirements.
+ * @param {(string|Array|Object)} textColor - any colour supported by parseColor
+ * @param {(string|Array|Object)} background - any colour supported by parseColor
+ * @param {string} level - optional: "AA" (default) or "AAA"
+ * @param {boolean} largeText - optional: true for large text (at least 18pt or 14pt bold), which has lower
+ * requirements - default false
+ * @returns {boolean} true, if the contrast is sufficient
+ */
+export const isReadable = (textColor, background, level = "AA", largeText = false) => {
+    const minimums = {
+        AA: largeText ? 3 : 4.5,
+        AAA: largeText ? 4.5 : 7,
+    }
+    if (minimums[level] == null) {
+        throw Error(`Unsupported WCAG level '${level}'`)
+    }
+    return getContrastRatio(textColor, background) >= minimums[level]
+}
+
+/**
+ * Picks the text colour with the best contrast for a background colour, e.g. for table cells coloured with
+ * getTricolor or createColorScale.
+ * @param {(string|Array|Object)} background - any colour supported by parseColor
+ * @param {Array} candidates - optional: the text colours to choose from - default black and white
+ * @returns {(string|Array|Object)} the candidate with the highest contrast ratio
+ */
+export const getTextColor = (background, candidates = ["#000000", "#ffffff"]) => {
+    return candidates.reduce((best, candidate) =>
+        getContrastRatio(candidate, background) > getContrastRatio(best, background) ? candidate : best
+    )
+}
+
+/**
+ * Makes a colour lighter by increasing its HSL lightness.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor
+ * @param {number} amount - optional: the amount of lightness to add between 0 and 1 (0.1 = 10 percentage points) -
+ * default 0.1
+ * @param {string} format - optional: the format of the result ("rgb", "hex" or "hsl") - default: the format of the
+ * provided colour ("rgb" for arrays and objects)
+ * @returns {string} the lighter colour
+ */
+export const lightenColor = (color, amount = 0.1, format = null) => {
+    const rgba = toRgba(color)
+    const [h, s, l] = rgbToHslValues(rgba)
+    const [r, g, b] = hslToRgbValues(h, s, Math.min(100, Math.max(0, l + amount * 100)))
+    return formatRgba({ r, g, b, a: rgba.a }, format || detectColorFormat(color))
+}
+
+/**
+ * Makes a colour darker by decreasing its HSL lightness.
+ * @param {(string|Array|Object)} color - any colour supported by parseColor
+ * @param {number} amount - optional: the amount of lightness to remove between 0 and 1 - default 0.1
+ * @param {string} format - optional: the format of the result ("rgb", "hex" or "hsl") - default: the format of the
+ * provided colour
+ * @returns {string} the darker colour
+ */
+export const darkenColor = (color, amount = 0.1, format = null) => {
+    return lightenColor(color, -amount, format)
+}
+
+/**
+ * Mixes two colours.
+ * @param {(string|Array|Object)} color1 - any colour supported by parseColor
+ * @param {(string|Array|Object)} color2 - any colour supported by parseColor
+ * @param {number} weight - optional: the share of the second colour between 0 and 1 - default 0.5
+ * @param {Object} options - optional settings:
+ * - mode: the colour space used for mixing: "rgb" (default), "hsl" or "lab"
+ * - format: the format of the result ("rgb", "hex" or "hsl") - default: the format of the first colour
+ * @returns {string} the mixed colour
+ */
+export const mixColors = (color1, color2, weight = 0.5, options = {}) => {
+    const { mode = "rgb", format = detectColorFormat(color1) } = options
+    return formatRgba(interpolateRgba(toRgba(color1), toRgba(color2), weight, mode), format)
+}
+
+/**
+ * Translates a hex colour code into an RGB string. If alpha is provided (or the hex code contains an alpha channel),
+ * it will return an RGBA string. The string can be used in CSS styles
+ * @param {string} hexValue - the hex value of colour; can be provided with or without the # and as 3, 4, 6 or 8
+ * digit color
+ * @param {Number} alpha - optional: if provided an RGBA (transparency) colour will be returned
+ * @returns {string} a colour string usable in colour definitions in CSS
+ */
+export const hexToRgb = (hexValue, alpha = null) => {
+    const color = toRgba(hexValue)
+    if (alpha != null) {
+        // always an RGBA string with the alpha value as provided
+        const [r, g, b] = [color.r, color.g, color.b].map(Math.round)
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`
+    }
+    return formatRgba(color, "rgb")
+}
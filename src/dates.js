@@ -0,0 +1,354 @@
+import { DateTime, Duration } from "luxon"
+import { resolveZone, TIMESTAMP_UNITS, toDateTime } from "./helpers"
+import { jsonGet } from "./objects"
+
+// default date format
+export const DATE_FORMAT = "yyyy-MM-dd"
+
+// default date/time format
+export const DATE_TIME_FORMAT = "dd/MM/yy T"
+
+// periods used to generate date ranges and group objects by date
+export const DATE_PERIODS = {
+    HOUR: "hour",
+    DAY: "day",
+    WEEK: "week",
+    MONTH: "month",
+    QUARTER: "quarter",
+    YEAR: "year",
+}
+
+// default keys of the date periods used by bucketByDate (weeks are ISO weeks)
+const PERIOD_KEY_FORMATS = {
+    [DATE_PERIODS.HOUR]: "yyyy-MM-dd'T'HH",
+    [DATE_PERIODS.DAY]: "yyyy-MM-dd",
+    [DATE_PERIODS.WEEK]: "kkkk-'W'WW",
+    [DATE_PERIODS.MONTH]: "yyyy-MM",
+    [DATE_PERIODS.QUARTER]: "yyyy-'Q'q",
+    [DATE_PERIODS.YEAR]: "yyyy",
+}
+
+// units used to format durations with their size in milliseconds (largest first)
+const DURATION_UNITS = [
+    ["day", 86400000],
+    ["hour", 3600000],
+    ["minute", 60000],
+    ["second", 1000],
+    ["millisecond", 1],
+]
+
+/**
+ * Parses a date provided as option, which has to be valid if it is provided.
+ * @param {Object} value - any input supported by parseDate
+ * @param {string} name - the name of the option used in the error message
+ * @param {Object} parseOptions - optional settings passed to parseDate (zone, unit)
+ * @returns {DateTime} the parsed date
+ */
+const toRequiredDateTime = (value, name, parseOptions = {}) => {
+    const dateTime = toDateTime(value, parseOptions)
+    if (dateTime == null || !dateTime.isValid) {
+        throw Error(`Invalid ${name} date: ${value}`)
+    }
+    return dateTime
+}
+
+// units of numeric timestamps for parseDate (auto, seconds, milliseconds)
+export { TIMESTAMP_UNITS }
+
+/**
+ * Parses any supported date input into a Luxon DateTime. This is used by all date functions of this library.
+ * @param {(object|string|number)} value - a JS Date, unix timestamp, ISO/SQL/RFC2822 string, Luxon DateTime or
+ * moment object
+ * @param {object} options - optional settings:
+ * - unit: the unit of numeric timestamps, one of the TIMESTAMP_UNITS. "auto" (default) treats values between
+ * -5000000000 and 5000000000 as seconds, which misreads milliseconds within 58 days around 1 Jan 1970
+ * - formats: a list of Luxon formats (e.g. "dd/MM/yyyy") tried for strings before ISO/SQL/RFC2822
+ * - zone: the time zone of the result as IANA name (e.g. "Australia/Sydney"), "utc", "local", offset in minutes or
+ * Luxon zone. Strings without offset are interpreted in this zone. Default: the local time zone
+ * @returns {DateTime} the Luxon DateTime or null, if the value is not a valid date
+ */
+export const parseDate = (value, options = {}) => {
+    return toDateTime(value, options)
+}
+
+/**
+ * Uses the hard-coded date format to format the provided date. If no valid date is provided, null is returned.
+ * @param {(object|string)} date: the date to format, provided either as string or Luxon object. If a string is
+ * provided, that string needs to be parsable by Luxon
+ * @param {string} dateFormat: the date format to be used by Luxon to serialise the date, default "yyyy-MM-dd"
+ * @returns {String} the formatted string or null, if the provided date string or object is not valid or cannot be
+ * parsed.
+ */
+export const formatDate = (date, dateFormat = DATE_FORMAT) => {
+    const dateTime = toDateTime(date)
+    if (dateTime == null && typeof date === "string") {
+        throw Error("Provided string date could not be detected, please convert to Luxon DateTime before formatting")
+    }
+    if (dateTime != null) {
+        return dateTime.toFormat(dateFormat)
+    }
+    return null
+}
+
+/**
+ * Uses a hard-coded date/time format to format the provided date. If no valid date is provided, null is returned.
+ * @param {(object|string)} date: the date to format, provided either as string, Number or Luxon object. If a string
+ * is provided, that string needs to be parsable by Luxon
+ * @param {string} dateTimeFormat - the Luxon datetime format, defaults to dd/MM/yy T
+ * @returns {String} the formatted string or null, if the provided date string or object is not valid or cannot be
+ * parsed.
+ */
+export const formatDateTime = (date, dateTimeFormat = DATE_TIME_FORMAT) => {
+    return formatDate(date, dateTimeFormat)
+}
+
+/**
+ * Formats a date relative to now, like "3 hours ago" or "in 2 days". Accepts the same inputs as formatDate.
+ * @param {(object|string|number)} date - the date to format
+ * @param {Object} options - optional settings:
+ * - now: the reference date (default: the current date/time), throws an error if it can't be parsed
+ * - locale: the locale to use (default: the browser locale)
+ * - style: "long" (default), "short" or "narrow"
+ * - unit: a Luxon unit or list of units to use (default: the largest suitable unit)
+ * - calendar: use calendar terms like "yesterday" or "next week" instead (default false)
+ * @returns {string} the relative date string or null, if the provided date is not valid
+ */
+export const formatRelativeDate = (date, options = {}) => {
+    const { now = null, locale = null, style = "long", unit, calendar = false } = options
+    const dateTime = toDateTime(date)
+    if (dateTime == null || !dateTime.isValid) {
+        return null
+    }
+    const base = now == null ? DateTime.now() : toRequiredDateTime(now, "reference")
+    const relativeOptions = { base, unit }
+    if (locale != null) {
+        relativeOptions.locale = locale
+    }
+    if (calendar) {
+        return dateTime.toRelativeCalendar(relativeOptions)
+    }
+    return dateTime.toRelative({ ...relativeOptions, style })
+}
+
+/**
+ * Formats a duration in a compact, human readable form like "1h 20m" or "2 days 3 hours". Only the largest units
+ * are shown (see maxUnits), the last shown unit is rounded.
+ * @param {(number|object)} duration - the duration in milliseconds, a Luxon Duration or an object like
+ * { hours: 1, minutes: 20 }
+ * @param {Object} options - optional settings:
+ * - maxUnits: the maximum number of units to show (default 2)
+ * - smallestUnit: the smallest unit to show: "day", "hour", "minute", "second" (default) or "millisecond"
+ * - unitDisplay: "narrow" (default, e.g. "1h"), "short" (e.g. "1 hr") or "long" (e.g. "1 hour")
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted duration or null, if the provided duration is not valid
+ */
+export const formatDuration = (duration, options = {}) => {
+    const { maxUnits = 2, smallestUnit = "second", unitDisplay = "narrow", locale } = options
+    let millis = duration
+    if (Duration.isDuration(duration)) {
+        millis = duration.toMillis()
+    } else if (duration != null && typeof duration === "object") {
+        millis = Duration.fromObject(duration).toMillis()
+    }
+    if (typeof millis !== "number" || isNaN(millis)) {
+        return null
+    }
+    const smallestIndex = DURATION_UNITS.findIndex(([unit]) => unit === smallestUnit)
+    if (smallestIndex === -1) {
+        throw Error(`Unsupported duration unit '${smallestUnit}'`)
+    }
+    const formatUnit = (value, unit) =>
+        new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay }).format(value)
+
+    // determine the largest and smallest unit to show and round to the smallest one
+    let remaining = Math.abs(millis)
+    let first = 0
+    let last = smallestIndex
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+        const value = remaining
+        first = DURATION_UNITS.findIndex(([, size], index) => value >= size || index === smallestIndex)
+        last = Math.min(first + Math.max(1, maxUnits) - 1, smallestIndex)
+        const unitSize = DURATION_UNITS[last][1]
+        remaining = Math.round(remaining / unitSize) * unitSize
+    }
+
+    const sign = millis < 0 && remaining > 0 ? "-" : ""
+    const parts = []
+    for (let i = first; i <= last; i += 1) {
+        const [unit, size] = DURATION_UNITS[i]
+        const value = Math.floor(remaining / size)
+        remaining -= value * size
+        if (value > 0 || (parts.length === 0 && i === last)) {
+            parts.push(formatUnit(value, unit))
+        }
+    }
+    return `${sign}${parts.join(" ")}`
+}
+
+/**
+ * Formats a date depending on how close it is to now: only the time if it's today, the weekday and time if it's in
+ * the current week and the full date otherwise. Accepts the same inputs as formatDate.
+ * @param {(object|string|number)} date - the date to format
+ * @param {Object} options - optional settings:
+ * - now: the reference date (default: the current date/time), throws an error if it can't be parsed
+ * - locale: the locale to use (default: the browser locale)
+ * - timeFormat: the Luxon format for today (default "T", e.g. "14:05")
+ * - weekdayFormat: the Luxon format for the current week (default "ccc T", e.g. "Mon 14:05")
+ * - dateFormat: the Luxon format for all other dates (default "yyyy-MM-dd")
+ * @returns {string} the formatted date or null, if the provided date is not valid
+ */
+export const formatSmartDate = (date, options = {}) => {
+    const { now = null, locale = null, timeFormat = "T", weekdayFormat = "ccc T", dateFormat = DATE_FORMAT } = options
+    let dateTime = toDateTime(date)
+    if (dateTime == null || !dateTime.isValid) {
+        return null
+    }
+    if (locale != null) {
+        dateTime = dateTime.setLocale(locale)
+    }
+    const reference = now == null ? DateTime.now() : toRequiredDateTime(now, "reference")
+    if (dateTime.hasSame(reference, "day")) {
+        return dateTime.toFormat(timeFormat)
+    }
+    if (dateTime.hasSame(reference, "week")) {
+        return dateTime.toFormat(weekdayFormat)
+    }
+    return dateTime.toFormat(dateFormat)
+}
+
+/**
+ * Moves a date from one time zone into another, keeping the displayed date and time (the point in time changes).
+ * This is useful to render timestamps in the time zone of the server, e.g. midnight on the server is displayed as
+ * midnight in the browser.
+ * @param {(object|string|number)} date - the date in any format supported by parseDate
+ * @param {(string|number|object)} fromZone - the time zone in which the date / time should be displayed (e.g. the
+ * server time zone) as IANA name, "utc", "local", offset in minutes or Luxon zone
+ * @param {(string|number|object)} toZone - optional, the time zone the date / time is rendered in - default "local"
+ * @param {object} options - optional parseDate options (unit, formats) used to parse the date
+ * @returns {DateTime} the shifted Luxon DateTime or null, if the date is not valid
+ */
+export const shiftTimeZone = (date, fromZone, toZone = "local", options = {}) => {
+    const dateTime = toDateTime(date, { ...options, zone: fromZone })
+    if (dateTime == null) {
+        return null
+    }
+    return dateTime.setZone(resolveZone(toZone), { keepLocalTime: true })
+}
+
+/**
+ * Applies an offset to a unix timestamp to allow native JS dates and Luxon to render the resulting date in the
+ * server's timezone, rather than the browsers time zone. The idea is to convert all timestamps of a time series
+ * received from a server in a different time into offset timestamps, which then allows to render the data as chart
+ * or table using the server's time and not the users time.
+ * @deprecated use shiftTimeZone, which supports IANA time zones (including daylight saving time)
+ * @param {number} timestamp: the original timestamp in seconds since 1970
+ * @param {number} serverOffsetMin: the number of minutes behind UTC (e.g. +10:00 is 600 minutes after UTC)
+ * @returns {number} the offset timestamp which when used by Luxon or as argument for new Date(..) will produce a
+ * date / time string in the server's timezone rather than the users/browser timezone
+ */
+export const applyTimeZoneOffset = (timestamp, serverOffsetMin = 600) => {
+    const shifted = shiftTimeZone(Math.round(timestamp), serverOffsetMin, "local", {
+        unit: TIMESTAMP_UNITS.SECONDS,
+    })
+    // invalid timestamps result in NaN like in previous versions
+    return shifted == null ? NaN : shifted.toSeconds()
+}
+
+/**
+ * Converts a date into another time zone, keeping the point in time (the displayed time changes).
+ * @param {(object|string|number)} date - the date in any format supported by parseDate
+ * @param {(string|number|object)} zone - the target time zone as IANA name (e.g. "Europe/Berlin"), "utc", "local",
+ * offset in minutes or Luxon zone
+ * @returns {DateTime} the Luxon DateTime in the target time zone or null, if the date is not valid
+ */
+export const convertTimeZone = (date, zone) => {
+    return toDateTime(date, { zone })
+}
+
+/**
+ * Creates a list of Luxon DateTimes from start to stop (inclusive) using a step in a given unit. Each date is
+ * computed from the start date, so month steps keep the day of the month where possible (31 Jan, 29 Feb, 31 Mar).
+ * @param {(object|string|number)} start - the first date in any format supported by parseDate
+ * @param {(object|string|number)} stop - the last possible date in any format supported by parseDate
+ * @param {number} step - optional step size, negative for descending ranges - default 1
+ * @param {string} unit - optional Luxon unit of the step (e.g. "hour", "day", "week", "month") - default "day"
+ * @param {object} options - optional parseDate options (e.g. zone) used to parse start and stop
+ * @returns {Array} a list of Luxon DateTimes or an empty list, if start or stop are invalid or the step points away
+ * from the stop date
+ */
+export const dateRange = (start, stop, step = 1, unit = DATE_PERIODS.DAY, options = {}) => {
+    if (step === 0) {
+        throw Error("The step of a date range must not be 0")
+    }
+    const first = toDateTime(start, options)
+    const last = toDateTime(stop, options)
+    const result = []
+    if (first == null || last == null) {
+        return result
+    }
+    const inRange = date => (step > 0 ? date <= last : date >= last)
+    for (let i = 0, current = first; inRange(current); i += 1, current = first.plus({ [unit]: i * step })) {
+        result.push(current)
+    }
+    return result
+}
+
+/**
+ * Groups a list of objects into date periods (e.g. days, ISO weeks or months) determined from a date of each
+ * object. Periods without objects between the first and last period are added as empty lists.
+ * @param {Array} objects - a list of objects
+ * @param {(string|function)} dateKey - the key of the date in each object (can contain . for nested levels) or a
+ * function extracting the date from an object. All formats supported by parseDate can be used
+ * @param {string} period - optional, one of the DATE_PERIODS - default "day"
+ * @param {Object} options - optional settings:
+ * - zone: the time zone that determines the period boundaries (default: local time zone)
+ * - unit: the unit of numeric timestamps (see parseDate)
+ * - fill: add empty periods (default true)
+ * - start / end: the first / last period to include when filling (default: the first / last object's period).
+ * Objects outside of start / end are still included. Invalid dates throw an error
+ * - keyFormat: the Luxon format for the keys of the periods (default e.g. "yyyy-MM-dd" for days, "kkkk-'W'WW" for
+ * ISO weeks, "yyyy-MM" for months)
+ * @returns {Object} a JSON object mapping the period keys in chronological order to the list of objects within
+ * that period. Objects without valid date are ignored.
+ */
+export const bucketByDate = (objects, dateKey, period = DATE_PERIODS.DAY, options = {}) => {
+    const { zone = null, unit, fill = true, start = null, end = null, keyFormat = null } = options
+    if (PERIOD_KEY_FORMATS[period] == null) {
+        throw Error(`Unsupported date period '${period}'`)
+    }
+    const format = keyFormat || PERIOD_KEY_FORMATS[period]
+    const parseOptions = { zone, unit }
+    const startDate = start == null ? null : toRequiredDateTime(start, "start", parseOptions).startOf(period)
+    const endDate = end == null ? null : toRequiredDateTime(end, "end", parseOptions).startOf(period)
+    const getDate = typeof dateKey === "function" ? dateKey : item => jsonGet(item, dateKey)
+
+    const buckets = {}
+    const addBucket = periodStart => {
+        const key = periodStart.toFormat(format)
+        if (buckets[key] == null) {
+            buckets[key] = { start: periodStart, items: [] }
+        }
+        return buckets[key]
+    }
+    objects.forEach(item => {
+        const date = toDateTime(getDate(item), parseOptions)
+        if (date != null) {
+            addBucket(date.startOf(period)).items.push(item)
+        }
+    })
+
+    const starts = Object.values(buckets).map(bucket => bucket.start)
+    if (fill && (starts.length > 0 || (startDate != null && endDate != null))) {
+        const first = startDate == null ? DateTime.min(...starts) : startDate
+        const last = endDate == null ? DateTime.max(...starts) : endDate
+        dateRange(first, last, 1, period).forEach(addBucket)
+    }
+
+    const result = {}
+    Object.values(buckets)
+        .sort((a, b) => a.start - b.start)
+        .forEach(bucket => {
+            result[bucket.start.toFormat(format)] = bucket.items
+        })
+    return result
+}
@@ -0,0 +1,404 @@
+import { DateTime } from "luxon"
+import { createAccessor } from "./helpers"
+
+/**
+ * Normalises the column definitions of toCsv and the table clipboard functions.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - a list of keys or column definitions { key, label, format } or null to use the keys of the
+ * first row. Columns without label use their key as header (function keys an empty header)
+ * @returns {Array} a list of { label, getValue(row) }
+ */
+const normaliseColumns = (rows, columns) =>
+    (columns == null ? Object.keys(rows[0] || {}) : columns).map(column => {
+        const { key, label, format } = typeof column === "object" ? column : { key: column }
+        const getValue = createAccessor(key)
+        // function keys can't be used as header, so they fall back to an empty one
+        const defaultLabel = typeof key === "function" ? "" : key
+        return {
+            label: label != null ? label : defaultLabel,
+            getValue: row => (format == null ? getValue(row) : format(getValue(row), row)),
+        }
+    })
+
+/**
+ * Converts the value of a table cell into a string. Dates are serialised as ISO strings, objects as JSON.
+ * @param {Object} value - any value
+ * @returns {string} the string value (empty for null values)
+ */
+const cellToString = value => {
+    if (value == null) {
+        return ""
+    }
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+    if (typeof value === "object" && !DateTime.isDateTime(value)) {
+        return JSON.stringify(value)
+    }
+    return `${value}`
+}
+
+/**
+ * Escapes a string for use in HTML.
+ * @param {string} text - any text
+ * @returns {string} the escaped text
+ */
+const escapeHtml = text =>
+    text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+
+/**
+ * Copies text (and optionally HTML) to the clipboard using the deprecated document.execCommand, which is still
+ * required for insecure contexts and older browsers.
+ * @param {string} text - the plain text to copy
+ * @param {string} html - optional HTML to copy alongside the text
+ * @returns {boolean} true, if the content was copied
+ */
+const copyWithExecCommand = (text, html) => {
+    if (typeof document === "undefined" || document.body == null) {
+        return false
+    }
+    const listener = event => {
+        if (event.clipboardData != null) {
+            event.clipboardData.setData("text/plain", text)
+            if (html != null) {
+                event.clipboardData.setData("text/html", html)
+            }
+            event.preventDefault()
+        }
+    }
+    const el = document.createElement("textarea")
+    el.value = text
+    el.setAttribute("readonly", "")
+    // keep the textarea out of sight and avoid scrolling to it
+    el.style.position = "fixed"
+    el.style.top = "0"
+    el.style.opacity = "0"
+    document.body.appendChild(el)
+    el.select()
+    document.addEventListener("copy", listener)
+    try {
+        return document.execCommand("copy")
+    } catch (e) {
+        return false
+    } finally {
+        document.removeEventListener("copy", listener)
+        document.body.removeChild(el)
+    }
+}
+
+/**
+ * Copies text to the clipboard using the async Clipboard API, if available, with a fallback to
+ * document.execCommand for insecure contexts and older browsers.
+ * @param {string} text - the plain text to copy
+ * @param {Object} options - optional settings:
+ * - html: HTML to copy alongside the text, which is used when pasting into rich text editors, e-mails or
+ *   spreadsheets
+ * @returns {Promise} a promise resolving to true, if the content was copied, or false otherwise
+ */
+export const copyToClipboard = (text, options = {}) => {
+    const { html = null } = options
+    const content = `${text == null ? "" : text}`
+    const clipboard = typeof navigator !== "undefined" ? navigator.clipboard : null
+    const ClipboardItem = typeof window !== "undefined" ? window.ClipboardItem : null
+    let copy = null
+    if (clipboard != null && html != null && clipboard.write != null && ClipboardItem != null) {
+        const item = new ClipboardItem({
+            "text/plain": new Blob([content], { type: "text/plain" }),
+            "text/html": new Blob([html], { type: "text/html" }),
+        })
+        copy = () => clipboard.write([item])
+    } else if (clipboard != null && clipboard.writeText != null) {
+        copy = () => clipboard.writeText(content)
+    }
+    if (copy == null) {
+        return Promise.resolve(copyWithExecCommand(content, html))
+    }
+    return Promise.resolve()
+        .then(copy)
+        .then(
+            () => true,
+            // e.g. missing permission or document not focused
+            () => copyWithExecCommand(content, html)
+        )
+}
+
+/**
+ * Serialises a list of JSON objects into a CSV string. Values containing the delimiter, quotes, line breaks or
+ * leading/trailing whitespace are quoted, quotes are escaped by doubling them.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - optional list of column definitions, either a key or a JSON object with:
+ * - key: the key of the value (can contain . for nested levels) or a function (row) => value
+ * - label: the column header (default: the key)
+ * - format: optional function (value, row) => string, e.g. value => util.formatDate(value)
+ * If not provided, the keys of the first row are used.
+ * @param {Object} options - optional: delimiter (default ","), lineEnding (default "\r\n"), header (include the
+ * header row - default true) and bom (prefix a UTF-8 byte order mark, so Excel detects the encoding - default false)
+ * @returns {string} the CSV content
+ */
+export const toCsv = (rows = [], columns = null, options = {}) => {
+    const { delimiter = ",", lineEnding = "\r\n", header = true, bom = false } = options
+    const columnDefinitions = normaliseColumns(rows, columns)
+    const serialise = value => {
+        const result = cellToString(value)
+        if (result.includes(delimiter) || /["\r\n]|^\s|\s$/.test(result)) {
+            return `"${result.replace(/"/g, '""')}"`
+        }
+        return result
+    }
+
+    const lines = rows.map(row => columnDefinitions.map(column => serialise(column.getValue(row))).join(delimiter))
+    if (header) {
+        lines.unshift(columnDefinitions.map(column => serialise(column.label)).join(delimiter))
+    }
+    return `${bom ? "\uFEFF" : ""}${lines.join(lineEnding)}`
+}
+
+/**
+ * Serialises a list of JSON objects into a tab-separated table, which pastes cleanly into Excel and other
+ * spreadsheets. See toCsv for the column definitions.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - optional list of column definitions (default: the keys of the first row)
+ * @param {Object} options - optional: header (include the header row - default true)
+ * @returns {string} the tab-separated content
+ */
+export const toTsv = (rows = [], columns = null, options = {}) => {
+    return toCsv(rows, columns, { header: options.header, delimiter: "\t", lineEnding: "\n", bom: false })
+}
+
+/**
+ * Creates a HTML table from a list of JSON objects. See toCsv for the column definitions.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - optional list of column definitions (default: the keys of the first row)
+ * @param {Object} options - optional: header (include the header row - default true)
+ * @returns {string} the HTML table
+ */
+export const toHtmlTable = (rows = [], columns = null, options = {}) => {
+    const { header = true } = options
+    const columnDefinitions = normaliseColumns(rows, columns)
+    const toRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("")}</tr>`
+    const head = header
+        ? `<thead>${toRow(
+              columnDefinitions.map(column => `${column.label}`),
+              "th"
+          )}</thead>`
+        : ""
+    const body = rows
+        .map(row =>
+            toRow(
+                columnDefinitions.map(column => cellToString(column.getValue(row))),
+                "td"
+            )
+        )
+        .join("")
+    return `<table>${head}<tbody>${body}</tbody></table>`
+}
+
+/**
+ * Copies a list of JSON objects as table to the clipboard: as tab-separated text (see toTsv) and as HTML table, so
+ * it pastes cleanly into spreadsheets as well as rich text editors.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - optional list of column definitions (default: the keys of the first row)
+ * @param {Object} options - optional: header (include the header row - default true)
+ * @returns {Promise} a promise resolving to true, if the table was copied, or false otherwise
+ */
+export const copyTableToClipboard = (rows = [], columns = null, options = {}) => {
+    return copyToClipboard(toTsv(rows, columns, options), {
+        html: toHtmlTable(rows, columns, options),
+    })
+}
+
+/**
+ * Reads the content of the clipboard using the async Clipboard API. The browser might ask the user for permission.
+ * @param {Object} options - optional settings:
+ * - html: read the HTML content instead of the plain text (default false); resolves to null if the clipboard
+ *   contains no HTML
+ * @returns {Promise} a promise resolving to the clipboard content, rejected if the Clipboard API is not available
+ * or the permission is denied
+ */
+export const readFromClipboard = (options = {}) => {
+    const clipboard = typeof navigator !== "undefined" ? navigator.clipboard : null
+    if (options.html === true) {
+        if (clipboard == null || clipboard.read == null) {
+            return Promise.reject(Error("Reading HTML from the clipboard is not supported"))
+        }
+        return clipboard.read().then(items => {
+            const item = items.find(clipboardItem => clipboardItem.types.includes("text/html"))
+            return item == null ? null : item.getType("text/html").then(blob => blob.text())
+        })
+    }
+    if (clipboard == null || clipboard.readText == null) {
+        return Promise.reject(Error("Reading from the clipboard is not supported"))
+    }
+    return clipboard.readText()
+}
+
+/**
+ * Parses a CSV string into a list of JSON objects (or lists of values). Supports quoted values containing
+ * delimiters, escaped quotes ("") and line breaks. A leading byte order mark is ignored.
+ * @param {string} text - the CSV content
+ * @param {Object} options - optional:
+ * - delimiter: the value delimiter (default ",")
+ * - header: whether the first line contains the column names, which are used as keys of the resulting objects. If
+ * false, each row is returned as list of values (default true)
+ * - columns: a list of keys to use instead of the header line
+ * - trim: remove whitespace around unquoted values (default false)
+ * - skipEmptyLines: ignore empty lines (default true)
+ * @returns {Array} a list of JSON objects or a list of lists of strings, if no header is used
+ */
+export const parseCsv = (text, options = {}) => {
+    const { delimiter = ",", header = true, columns = null, trim = false, skipEmptyLines = true } = options
+    const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+    const lines = []
+    let line = []
+    let value = ""
+    let quoted = false
+    let wasQuoted = false
+    const endValue = () => {
+        line.push(trim && !wasQuoted ? value.trim() : value)
+        value = ""
+        wasQuoted = false
+    }
+    for (let i = 0; i < content.length; i += 1) {
+        const char = content[i]
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                // escaped quote
+                value += char
+                i += 1
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                value += char
+            }
+        } else if (char === '"' && value.trim() === "") {
+            quoted = true
+            wasQuoted = true
+            value = ""
+        } else if (content.startsWith(delimiter, i)) {
+            endValue()
+            i += delimiter.length - 1
+        } else if (char === "\n" || char === "\r") {
+            endValue()
+            lines.push(line)
+            line = []
+            if (char === "\r" && content[i + 1] === "\n") {
+                i += 1
+            }
+        } else {
+            value += char
+        }
+    }
+    if (value !== "" || wasQuoted || line.length > 0) {
+        endValue()
+        lines.push(line)
+    }
+
+    const rows = skipEmptyLines ? lines.filter(l => l.length > 1 || l[0] !== "") : lines
+    if (!header && columns == null) {
+        return rows
+    }
+    const keys = columns == null ? rows.shift() : columns
+    if (columns != null && header) {
+        // header line is replaced by the provided columns
+        rows.shift()
+    }
+    return rows.map(values => {
+        const item = {}
+        keys.forEach((key, index) => {
+            item[key] = values[index] == null ? null : values[index]
+        })
+        return item
+    })
+}
+
+/**
+ * Reads a table (e.g. cells copied from a spreadsheet) from the clipboard and parses the tab-separated text.
+ * @param {Object} options - optional parseCsv options: header (default true), columns, trim and skipEmptyLines
+ * @returns {Promise} a promise resolving to the parsed rows (see parseCsv)
+ */
+export const readTableFromClipboard = (options = {}) => {
+    return readFromClipboard().then(text => parseCsv(text, { ...options, delimiter: "\t" }))
+}
+
+/**
+ * Creates a Blob from the provided content.
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView} content - the content as string (encoded as UTF-8), Blob,
+ * ArrayBuffer or typed array / DataView
+ * @param {string} contentType - optional MIME type of the content (e.g. "text/csv;charset=utf-8")
+ * @returns {Blob} a Blob containing the content
+ */
+export const createBlob = (content, contentType = null) => {
+    if (typeof Blob === "undefined") {
+        throw Error("Blob is not supported in this environment")
+    }
+    if (content instanceof Blob && (contentType == null || content.type === contentType)) {
+        return content
+    }
+    const isBinary = content instanceof Blob || content instanceof ArrayBuffer || ArrayBuffer.isView(content)
+    const data = isBinary ? content : `${content == null ? "" : content}`
+    return new Blob([data], contentType == null ? {} : { type: contentType })
+}
+
+/**
+ * Downloads any content as file of the given content type. The content is converted into a Blob, which is
+ * downloaded using a temporary object URL that is revoked afterwards. Without DOM (e.g. server-side or in tests)
+ * or with the download option disabled, only the Blob is returned.
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView} content - the content as string, Blob, ArrayBuffer or typed
+ * array / DataView
+ * @param {string} contentType - the MIME type of the content, which should be compatible with the filename
+ * @param {string} filename - the name of the downloaded file
+ * @param {Object} options - optional: download (set to false to only create the Blob - default true) and
+ * revokeDelay (milliseconds after which the object URL is revoked - default 1000)
+ * @returns {Blob} the Blob created from the content
+ */
+export const downloadFile = (content, contentType, filename, options = {}) => {
+    const { download = true, revokeDelay = 1000 } = options
+    const blob = createBlob(content, contentType)
+    if (!download || typeof document === "undefined" || typeof URL === "undefined" || URL.createObjectURL == null) {
+        return blob
+    }
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.download = filename
+    a.href = url
+    a.rel = "noopener"
+    a.style.display = "none"
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    // give the browser time to start the download before releasing the content
+    setTimeout(() => URL.revokeObjectURL(url), revokeDelay)
+    return blob
+}
+
+/**
+ * Downloads a JSON object or list as JSON file. See downloadFile for the options.
+ * @param {Object|Array} objectData - the JSON object or list to download
+ * @param {string} filename - the name of the downloaded file - default "export.json"
+ * @param {Object} options - optional: download and revokeDelay
+ * @returns {Blob} the Blob containing the JSON
+ */
+export const exportToJson = (objectData = {}, filename = "export.json", options = {}) => {
+    const contentType = "application/json;charset=utf-8"
+    return downloadFile(JSON.stringify(objectData), contentType, filename, options)
+}
+
+/**
+ * Downloads a list of JSON objects as CSV file. This only works in the browser. See toCsv for the column
+ * definitions and options.
+ * @param {Array} rows - a list of JSON objects
+ * @param {Array} columns - optional list of column definitions (default: the keys of the first row)
+ * @param {string} filename - the name of the downloaded file - default "export.csv"
+ * @param {Object} options - optional: delimiter, lineEnding, header, bom (default true) as well as download and
+ * revokeDelay (see downloadFile)
+ * @returns {Blob} the Blob containing the CSV
+ */
+export const exportToCsv = (rows = [], columns = null, filename = "export.csv", options = {}) => {
+    const contentType = "text/csv;charset=utf-8"
+    return downloadFile(toCsv(rows, columns, { bom: true, ...options }), contentType, filename, options)
+}
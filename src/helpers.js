@@ -0,0 +1,174 @@
+import { DateTime, FixedOffsetZone, Info } from "luxon"
+
+// units of numeric timestamps supported when parsing dates
+export const TIMESTAMP_UNITS = {
+    AUTO: "auto",
+    SECONDS: "seconds",
+    MILLISECONDS: "milliseconds",
+}
+
+/**
+ * Resolves a time zone provided as IANA name (e.g. "Australia/Sydney"), "utc", "local", offset in minutes or Luxon
+ * zone into a Luxon zone.
+ * @param {(string|number|object)} zone - the time zone
+ * @returns {object} the Luxon zone
+ */
+export const resolveZone = zone => {
+    const resolved = typeof zone === "number" ? FixedOffsetZone.instance(zone) : Info.normalizeZone(zone)
+    if (resolved == null || !resolved.isValid) {
+        throw Error(`Unsupported time zone '${zone}'`)
+    }
+    return resolved
+}
+
+/**
+ * Converts the supported date inputs (JS Date, unix timestamps in seconds or milliseconds, ISO/SQL/RFC2822 strings,
+ * Luxon DateTime and moment objects) into a Luxon DateTime.
+ * @param {(object|string|number)} date - the date to convert
+ * @param {object} options - optional: unit (one of the TIMESTAMP_UNITS - default "auto"), formats (list of Luxon
+ * formats to try for strings before ISO/SQL/RFC2822) and zone (time zone of the result, also used to interpret strings
+ * without offset)
+ * @returns {DateTime} the Luxon DateTime or null, if the input is not a supported or valid date
+ */
+export const toDateTime = (date, options = {}) => {
+    const { unit = TIMESTAMP_UNITS.AUTO, formats = [], zone = null } = options
+    const zoneOptions = zone == null ? {} : { zone: resolveZone(zone) }
+    const inZone = dateTime => (zone == null ? dateTime : dateTime.setZone(zoneOptions.zone))
+    let result = null
+    if (date == null) {
+        return null
+    }
+    if (DateTime.isDateTime(date)) {
+        // handling Luxon objects
+        result = inZone(date)
+    } else if (date instanceof Date) {
+        // handling JS date objects
+        result = inZone(DateTime.fromJSDate(date))
+    } else if (typeof date === "number") {
+        // handling unix timestamps (guessing s or ms, unless the unit is provided)
+        let inSeconds = unit === TIMESTAMP_UNITS.SECONDS
+        if (unit === TIMESTAMP_UNITS.AUTO) {
+            // larger values would be year 2128+ (or before 1812); doesn't work for ms within 58 days of 1 Jan 1970
+            inSeconds = Math.abs(date) < 5000000000
+        } else if (!Object.values(TIMESTAMP_UNITS).includes(unit)) {
+            throw Error(`Unsupported timestamp unit '${unit}'`)
+        }
+        result = inSeconds ? DateTime.fromSeconds(date, zoneOptions) : DateTime.fromMillis(date, zoneOptions)
+    } else if (typeof date === "string") {
+        // handling string date/times, attempt to parse
+        const functions = [
+            ...formats.map(format => value => DateTime.fromFormat(value, format, zoneOptions)),
+            value => DateTime.fromISO(value, zoneOptions),
+            value => DateTime.fromSQL(value, zoneOptions),
+            value => DateTime.fromRFC2822(value, zoneOptions),
+        ]
+        for (let i = 0; i < functions.length && result == null; i += 1) {
+            const parsedDate = functions[i](date)
+            if (parsedDate.isValid) {
+                result = parsedDate
+            }
+        }
+    } else if (date._isAMomentObject != null && date.unix != null) {
+        // handling momentjs objects
+        result = DateTime.fromMillis(date.valueOf(), zoneOptions)
+    }
+    return result != null && result.isValid ? result : null
+}
+
+// localStorage key uses to store the auth token
+export const LS_AUTH_KEY = "auth_token"
+
+// keys that must never be assigned when writing paths or parsing untrusted input
+export const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"]
+
+/**
+ * Parses a path into a list of keys. Dots separate nested keys, brackets contain array indices or quoted keys and a
+ * backslash escapes the following character (e.g. a dot that is part of a key).
+ * @param {(string|number|Array)} path - a path like "items[0].name", "meta.file\\.name" or ["items", 0, "name"]
+ * @returns {Array} the list of keys (numbers for array indices)
+ */
+export const parsePath = path => {
+    if (Array.isArray(path)) {
+        return path
+    }
+    if (typeof path === "number") {
+        return [path]
+    }
+    if (path == null || path === "") {
+        return []
+    }
+    const segments = []
+    let current = ""
+    let pending = false
+    const flush = () => {
+        if (pending) {
+            segments.push(current)
+        }
+        current = ""
+        pending = false
+    }
+    for (let i = 0; i < path.length; i += 1) {
+        const char = path[i]
+        const closing = char === "[" ? path.indexOf("]", i) : -1
+        if (char === "\\" && i + 1 < path.length) {
+            i += 1
+            current += path[i]
+            pending = true
+        } else if (char === ".") {
+            flush()
+        } else if (closing !== -1) {
+            flush()
+            const content = path.slice(i + 1, closing)
+            if (/^(["']).*\1$/.test(content)) {
+                segments.push(content.slice(1, -1))
+            } else {
+                segments.push(/^\d+$/.test(content) ? Number(content) : content)
+            }
+            i = closing
+        } else {
+            current += char
+            pending = true
+        }
+    }
+    flush()
+    return segments
+}
+
+/**
+ * Resolves a list of keys in an object.
+ * @param {Object} object - a JSON object or list
+ * @param {Array} segments - the keys as returned by parsePath
+ * @returns {Object} the resolved value or undefined, if the path doesn't exist
+ */
+export const getAtPath = (object, segments) =>
+    segments.reduce((current, segment) => (current == null ? undefined : current[segment]), object)
+
+/**
+ * Checks whether a value is an object or list that keys can be resolved in.
+ * @param {Object} value - any value
+ * @returns {boolean} true for objects and lists
+ */
+export const isContainer = value => value != null && typeof value === "object"
+
+/**
+ * Creates a function extracting a value from a list item.
+ * @param {(string|function|Array)} accessor - a path (see parsePath), a function or null to use the item itself
+ * @returns {function} a function item => value
+ */
+export const createAccessor = accessor => {
+    if (accessor == null) {
+        return item => item
+    }
+    if (typeof accessor === "function") {
+        return accessor
+    }
+    const segments = parsePath(accessor)
+    return item => getAtPath(item, segments)
+}
+
+/**
+ * Checks whether a value is a finite number.
+ * @param {Object} value - any value
+ * @returns {boolean} true for finite numbers
+ */
+export const isNumeric = value => typeof value === "number" && isFinite(value)
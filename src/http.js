@@ -0,0 +1,652 @@
+import { LS_AUTH_KEY, UNSAFE_KEYS } from "./helpers"
+import { getAuthHeader, getAuthToken } from "./auth"
+
+// action type suffixes of the promise redux middleware
+const ACTION_TYPE_SUFFIXES = {
+    pending: "_PENDING",
+    fulfilled: "_FULFILLED",
+    rejected: "_REJECTED",
+}
+
+/**
+ * Splits an action type of the promise redux middleware into the base type and status.
+ * @param {string} type - an action type like "FETCH_USERS_PENDING"
+ * @returns {Object} { baseType, status } with status "pending", "fulfilled" or "rejected" or null, if the type has
+ * none of the suffixes
+ */
+const parseAsyncActionType = type => {
+    if (typeof type !== "string") {
+        return null
+    }
+    const status = Object.keys(ACTION_TYPE_SUFFIXES).find(key => type.endsWith(ACTION_TYPE_SUFFIXES[key]))
+    if (status == null) {
+        return null
+    }
+    return { baseType: type.slice(0, -ACTION_TYPE_SUFFIXES[status].length), status }
+}
+
+// parse modes for REST response bodies (used by the restHandler)
+export const RESPONSE_TYPES = {
+    AUTO: "auto",
+    JSON: "json",
+    TEXT: "text",
+    BLOB: "blob",
+    ARRAY_BUFFER: "arrayBuffer",
+}
+
+// default delay in milliseconds before the first retry of a failed REST request
+const DEFAULT_RETRY_DELAY = 500
+
+/**
+ * Converts the headers of a fetch response into a flat JSON object with lower case header names.
+ * @param {object} response - the fetch response
+ * @returns {object} a JSON object mapping header names to their values
+ */
+const getResponseHeaders = response => {
+    const result = {}
+    if (response.headers != null && response.headers.forEach != null) {
+        response.headers.forEach((value, key) => {
+            result[key.toLowerCase()] = value
+        })
+    }
+    return result
+}
+
+/**
+ * Parses a response body text as JSON, falling back to the raw text if it's not valid JSON.
+ * @param {string} text - the response body
+ * @returns {object} the parsed JSON, the text itself if it isn't JSON or null for an empty body
+ */
+const parseBodyText = text => {
+    if (text === "") {
+        return null
+    }
+    try {
+        return JSON.parse(text)
+    } catch (err) {
+        return text
+    }
+}
+
+/**
+ * Reads the body of a fetch response according to the parse mode. In auto mode the content type decides, whether the
+ * body is parsed as JSON, text or binary (Blob, or ArrayBuffer where Blob is not supported).
+ * @param {object} response - the fetch response
+ * @param {string} parseMode - one of the RESPONSE_TYPES
+ * @returns {Promise<object>} a promise resolving the body or null, if the response has no body.
+ */
+const readResponseBody = (response, parseMode) => {
+    if (!Object.values(RESPONSE_TYPES).includes(parseMode)) {
+        return Promise.reject(Error(`Unsupported response parse mode '${parseMode}'`))
+    }
+    const headers = getResponseHeaders(response)
+    if ([204, 205, 304].includes(response.status) || headers["content-length"] === "0") {
+        return Promise.resolve(null)
+    }
+    let mode = parseMode
+    if (mode === RESPONSE_TYPES.AUTO) {
+        const contentType = (headers["content-type"] || "").toLowerCase()
+        if (contentType === "") {
+            // unknown, attempt JSON and fall back to text
+            return response.text().then(parseBodyText)
+        }
+        if (/[/+]json\b/.test(contentType)) {
+            mode = RESPONSE_TYPES.JSON
+        } else if (/^text\/|[/+]xml\b|javascript|csv/.test(contentType)) {
+            mode = RESPONSE_TYPES.TEXT
+        } else {
+            mode = response.blob != null ? RESPONSE_TYPES.BLOB : RESPONSE_TYPES.ARRAY_BUFFER
+        }
+    }
+    if (mode === RESPONSE_TYPES.JSON) {
+        // allows empty bodies
+        return response.text().then(text => (text === "" ? null : JSON.parse(text)))
+    }
+    return response[mode]()
+}
+
+/**
+ * Creates the error a REST request is rejected with, if the server responds with a status code >= 400.
+ * @param {object} response - the fetch response
+ * @param {object} body - the parsed response body
+ * @param {string} requestUrl - the URL of the original request
+ * @returns {Error} an error providing status, statusText, headers, body and url
+ */
+const createRestError = (response, body, requestUrl) => {
+    const error = new Error(`Request to ${requestUrl} failed with status ${response.status}`)
+    error.status = response.status
+    error.statusText = response.statusText
+    error.headers = getResponseHeaders(response)
+    error.body = body
+    error.url = requestUrl
+    return error
+}
+
+/**
+ * Converts a single query parameter value into a string.
+ * @param {Object} value - a string, number, boolean, Date or Luxon DateTime
+ * @returns {string} the string value
+ */
+const queryValueToString = value => {
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+    if (value != null && typeof value.toISO === "function") {
+        return value.toISO()
+    }
+    return `${value}`
+}
+
+/**
+ * Serialises a JSON object into a URL query string (without leading ?). Null values are skipped, nested objects are
+ * added as bracket keys (filter[name]=abc).
+ * @param {object} params - a JSON object with the query parameters
+ * @param {string} arrayFormat - how lists of simple values are serialised: "repeat" (a=1&a=2), "brackets" (a[]=1&a[]=2)
+ * or "comma" (a=1,2). Lists of objects always use indices (a[0][b]=1)
+ * @returns {string} the encoded query string
+ */
+const stringifyQuery = (params = {}, arrayFormat = "repeat") => {
+    if (!["repeat", "brackets", "comma"].includes(arrayFormat)) {
+        throw Error(`Unsupported array format '${arrayFormat}'`)
+    }
+    const parts = []
+    const add = (key, value) =>
+        parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(queryValueToString(value))}`)
+    const isNested = value =>
+        value != null && typeof value === "object" && !(value instanceof Date) && typeof value.toISO !== "function"
+    const serialise = (key, value) => {
+        if (value == null) {
+            return
+        }
+        if (Array.isArray(value)) {
+            const items = value.filter(item => item != null)
+            if (items.some(isNested)) {
+                items.forEach((item, index) => serialise(`${key}[${index}]`, item))
+            } else if (arrayFormat === "comma") {
+                if (items.length > 0) {
+                    add(key, items.map(queryValueToString).join(","))
+                }
+            } else {
+                items.forEach(item => add(arrayFormat === "brackets" ? `${key}[]` : key, item))
+            }
+            return
+        }
+        if (isNested(value)) {
+            Object.entries(value).forEach(([subKey, subValue]) => serialise(`${key}[${subKey}]`, subValue))
+            return
+        }
+        add(key, value)
+    }
+    Object.entries(params || {}).forEach(([key, value]) => serialise(key, value))
+    return parts.join("&")
+}
+
+/**
+ * Converts a query parameter string value into a boolean or number, if it represents one.
+ * @param {string} value - the decoded parameter value
+ * @returns {(string|number|boolean)} the coerced value
+ */
+const coerceQueryValue = value => {
+    if (value === "true" || value === "false") {
+        return value === "true"
+    }
+    // only convert numbers that survive the round trip (no leading zeros like ids or zip codes)
+    if (value !== "" && String(Number(value)) === value) {
+        return Number(value)
+    }
+    return value
+}
+
+/**
+ * Parses a URL query string into a JSON object. Repeated keys (a=1&a=2) and bracket keys (a[]=1) become lists, nested
+ * bracket keys (filter[name]=abc) become nested objects.
+ * @param {string} query - the query string with or without leading ? or #, or a full URL
+ * @param {Object} options - optional settings:
+ * - coerce: true to convert "true"/"false" and numeric values or a function (value, key) => value
+ * - arrays: a list of keys that are always returned as list, even if they occur only once
+ * @returns {object} the parsed query parameters
+ */
+const parseQuery = (query, options = {}) => {
+    const { coerce = false, arrays = [] } = options
+    let queryString = query || ""
+    if (/^[a-z][a-z\d+\-.]*:\/\//i.test(queryString) || queryString.startsWith("/")) {
+        // full URL or path
+        queryString = queryString.includes("?") ? queryString.slice(queryString.indexOf("?") + 1) : ""
+        queryString = queryString.split("#")[0]
+    }
+    queryString = queryString.replace(/^[?#]/, "")
+    const decode = value => decodeURIComponent(value.replace(/\+/g, " "))
+    let convert = value => value
+    if (typeof coerce === "function") {
+        convert = coerce
+    } else if (coerce) {
+        convert = coerceQueryValue
+    }
+
+    const result = {}
+    queryString
+        .split("&")
+        .filter(param => param !== "")
+        .forEach(param => {
+            const separator = param.indexOf("=")
+            const rawKey = decode(separator === -1 ? param : param.slice(0, separator))
+            const rawValue = separator === -1 ? "" : decode(param.slice(separator + 1))
+            const match = rawKey.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/)
+            const segments = match
+                ? [match[1], ...(match[2].match(/\[[^[\]]*\]/g) || []).map(segment => segment.slice(1, -1))]
+                : [rawKey]
+            if (segments.some(segment => UNSAFE_KEYS.includes(segment))) {
+                return
+            }
+            const value = convert(rawValue, rawKey)
+            let container = result
+            segments.forEach((segment, index) => {
+                const isLast = index === segments.length - 1
+                if (Array.isArray(container) && segment === "") {
+                    if (isLast) {
+                        container.push(value)
+                    } else {
+                        container.push(/^\d*$/.test(segments[index + 1]) ? [] : {})
+                        container = container[container.length - 1]
+                    }
+                    return
+                }
+                // ignore properties inherited from the object prototype (e.g. toString)
+                const exists = Object.prototype.hasOwnProperty.call(container, segment)
+                if (isLast) {
+                    if (!exists) {
+                        container[segment] = segments.length === 1 && arrays.includes(segment) ? [value] : value
+                    } else if (Array.isArray(container[segment])) {
+                        container[segment].push(value)
+                    } else {
+                        container[segment] = [container[segment], value]
+                    }
+                    return
+                }
+                if (!exists || container[segment] == null || typeof container[segment] !== "object") {
+                    container[segment] = /^\d*$/.test(segments[index + 1]) ? [] : {}
+                }
+                container = container[segment]
+            })
+        })
+    return result
+}
+
+/**
+ * Calls the provided fetch implementation and aborts the request if it doesn't respond within the given timeout.
+ * @param {function} fetchImpl - the fetch implementation
+ * @param {string} url - the full request URL
+ * @param {object} init - the fetch options
+ * @param {number} timeout - the timeout in milliseconds or null to wait indefinitely
+ * @returns {Promise<object>} the promise returned by fetch, rejecting with an error flagged as `timeout` if the request
+ * has been aborted because it took too long.
+ */
+const fetchWithTimeout = (fetchImpl, url, init, timeout) => {
+    if (timeout == null || typeof AbortController === "undefined") {
+        return fetchImpl(url, init)
+    }
+    const controller = new AbortController()
+    const abort = () => controller.abort()
+    if (init.signal != null) {
+        if (init.signal.aborted) {
+            controller.abort()
+        } else {
+            // still allow the caller to abort the request
+            init.signal.addEventListener("abort", abort)
+        }
+    }
+    let timedOut = false
+    const timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+    }, timeout)
+    const cleanUp = () => {
+        clearTimeout(timer)
+        if (init.signal != null) {
+            init.signal.removeEventListener("abort", abort)
+        }
+    }
+    return fetchImpl(url, { ...init, signal: controller.signal }).then(
+        response => {
+            cleanUp()
+            return response
+        },
+        err => {
+            cleanUp()
+            if (timedOut) {
+                const timeoutError = new Error(`Request to ${url} timed out after ${timeout}ms`)
+                timeoutError.timeout = true
+                throw timeoutError
+            }
+            throw err
+        }
+    )
+}
+
+/**
+ * Returns the action.type suffixes for the promise redux middleware (used in the reducers)
+ */
+export const actionTypeSuffixes = ACTION_TYPE_SUFFIXES
+
+/**
+ * Provides the header values for a REST request using JSON payloads to exchange information.
+ * @returns {{Accept: string, "Content-Type": string}} a JSON containing all parameters required for content types.
+ */
+export const getJsonHeader = () => {
+    return {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+    }
+}
+
+/**
+ * Retrieves a JSON object representing a request header for an authenticated REST request to a back-end.
+ * @param {string} [localStorageKey]: optional custom key where the auth token is stored (default: "auth_token")
+ * @returns {{Accept: string, "Content-Type": string, Authorization: string}} a header for an authenticated REST
+ * request.
+ */
+export const getAuthJsonHeader = (localStorageKey = LS_AUTH_KEY) => {
+    return {
+        ...getAuthHeader(localStorageKey),
+        ...getJsonHeader(),
+    }
+}
+
+/**
+ * Helper promise to handle incoming REST responses via fetch. If the response status code is >= 400, the promise
+ * will be rejected. Otherwise the response body will be parsed depending on its content type (JSON, text or
+ * binary) and resolved by the promise. Responses without body resolve null.
+ * @param {object} response: the request promise returned by fetch
+ * @param {string} [parseMode]: optional, one of the RESPONSE_TYPES to force a parse mode (default: "auto")
+ * @param {string} [requestUrl]: optional, the URL of the original request (default: the response URL)
+ * @returns {Promise<object>} a promise resolving the body of the incoming request or rejecting with an error
+ * containing status, statusText, headers, body (parsed JSON or text) and url in case of an error status code.
+ */
+export const restHandler = (response, parseMode = RESPONSE_TYPES.AUTO, requestUrl = null) => {
+    if (response.status >= 400) {
+        return response
+            .text()
+            .then(parseBodyText)
+            .then(body => {
+                throw createRestError(response, body, requestUrl || response.url)
+            })
+    }
+    return readResponseBody(response, parseMode || RESPONSE_TYPES.AUTO)
+}
+
+/**
+ * Creates a REST client wrapping fetch, which applies a base URL, default headers, JSON body encoding, query
+ * strings, timeouts and retries to every request. Responses are handled by restHandler.
+ * @param {object} options - optional client configuration:
+ * - baseUrl: prefix for all relative request URLs (default: "")
+ * - headers: additional default headers or a function returning them, applied to every request
+ * - auth: whether to send the stored auth token as Authorization header, if there is one (default: true)
+ * - localStorageKey: custom key where the auth token is stored (default: "auth_token")
+ * - timeout: milliseconds after which a request is aborted (default: null - no timeout)
+ * - retries: number of retries on network errors, timeouts or status codes >= 500 (default: 0)
+ * - retryDelay: milliseconds before the first retry, doubled for every further retry (default: 500)
+ * - fetch: the fetch implementation to use (default: the global fetch)
+ * @returns {object} a client providing request(method, url, requestOptions), get(url, requestOptions),
+ * post(url, body, requestOptions), put(..), patch(..) and delete(url, requestOptions)
+ */
+export const createRestClient = (options = {}) => {
+    const {
+        baseUrl = "",
+        headers = {},
+        auth = true,
+        localStorageKey = LS_AUTH_KEY,
+        timeout = null,
+        retries = 0,
+        retryDelay = DEFAULT_RETRY_DELAY,
+    } = options
+    const fetchImpl = options.fetch || (typeof fetch !== "undefined" ? fetch : null)
+    if (fetchImpl == null) {
+        throw Error("No fetch implementation available, please provide one via the 'fetch' option")
+    }
+
+    const buildUrl = (url, query) => {
+        let fullUrl = url
+        if (baseUrl !== "" && !/^[a-z][a-z\d+\-.]*:\/\//i.test(url)) {
+            fullUrl = `${baseUrl.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`
+        }
+        const queryString = stringifyQuery(query)
+        if (queryString === "") {
+            return fullUrl
+        }
+        return `${fullUrl}${fullUrl.includes("?") ? "&" : "?"}${queryString}`
+    }
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+    /**
+     * Executes a request and handles the response via restHandler.
+     * @param {string} method - the HTTP method
+     * @param {string} url - the URL, relative to the baseUrl or absolute
+     * @param {object} requestOptions - optional: query (JSON object), body, headers, timeout, retries, parse (one
+     * of the RESPONSE_TYPES) and any other fetch option (e.g. signal, credentials)
+     * @returns {Promise<object>} the promise returned by restHandler
+     */
+    const request = (method, url, requestOptions = {}) => {
+        const {
+            query,
+            body,
+            headers: requestHeaders = {},
+            timeout: requestTimeout = timeout,
+            retries: requestRetries = retries,
+            parse = RESPONSE_TYPES.AUTO,
+            ...fetchOptions
+        } = requestOptions
+
+        const defaultHeaders = getJsonHeader()
+        const token = auth ? getAuthToken(localStorageKey) : null
+        if (token != null) {
+            // don't send an "Authorization: null" header, if no token is stored
+            defaultHeaders.Authorization = token
+        }
+        const init = {
+            ...fetchOptions,
+            method,
+            headers: {
+                ...defaultHeaders,
+                ...(typeof headers === "function" ? headers() : headers),
+                ...requestHeaders,
+            },
+        }
+        if (body != null) {
+            const isJson = Array.isArray(body) || Object.prototype.toString.call(body) === "[object Object]"
+            init.body = isJson ? JSON.stringify(body) : body
+            if (typeof FormData !== "undefined" && body instanceof FormData) {
+                // let the browser set the multipart boundary
+                delete init.headers["Content-Type"]
+            }
+        }
+        const fullUrl = buildUrl(url, query)
+
+        const execute = attempt => {
+            const retry = () => wait(retryDelay * 2 ** attempt).then(() => execute(attempt + 1))
+            return fetchWithTimeout(fetchImpl, fullUrl, init, requestTimeout).then(
+                response => {
+                    if (response.status >= 500 && attempt < requestRetries) {
+                        return retry()
+                    }
+                    return restHandler(response, parse, fullUrl)
+                },
+                err => {
+                    // don't retry requests aborted by the caller
+                    if (err.name !== "AbortError" && attempt < requestRetries) {
+                        return retry()
+                    }
+                    throw err
+                }
+            )
+        }
+        return execute(0)
+    }
+
+    return {
+        request,
+        get: (url, requestOptions) => request("GET", url, requestOptions),
+        post: (url, body, requestOptions) => request("POST", url, { ...requestOptions, body }),
+        put: (url, body, requestOptions) => request("PUT", url, { ...requestOptions, body }),
+        patch: (url, body, requestOptions) => request("PATCH", url, { ...requestOptions, body }),
+        delete: (url, requestOptions) => request("DELETE", url, requestOptions),
+    }
+}
+
+/**
+ * Creates the action types of an async action for the promise redux middleware.
+ * @param {string} baseType - the type of the action dispatched with a promise payload, e.g. "FETCH_USERS"
+ * @returns {Object} { base, pending, fulfilled, rejected } with the base type and the types emitted by the
+ * middleware (e.g. "FETCH_USERS_PENDING")
+ */
+export const createAsyncActionTypes = baseType => {
+    return {
+        base: baseType,
+        pending: `${baseType}${ACTION_TYPE_SUFFIXES.pending}`,
+        fulfilled: `${baseType}${ACTION_TYPE_SUFFIXES.fulfilled}`,
+        rejected: `${baseType}${ACTION_TYPE_SUFFIXES.rejected}`,
+    }
+}
+
+/**
+ * Creates a reducer for an async action of the promise redux middleware, which tracks the state
+ * { data, loading, error } of the action.
+ * @param {string} baseType - the type of the action dispatched with a promise payload, e.g. "FETCH_USERS"
+ * @param {Object} options - optional settings:
+ * - initialData: the data before the first response (default null)
+ * - getData: a function (action, state) => data determining the new data from the fulfilled action (default: the
+ *   payload), e.g. to append pages or integrate items
+ * - getError: a function (action) => error determining the error from the rejected action (default: the payload)
+ * - clearData: true to reset the data to the initialData when a new request starts (default false)
+ * @returns {function} a reducer (state, action) => state, returning the same state for all other actions
+ */
+export const createAsyncReducer = (baseType, options = {}) => {
+    const {
+        initialData = null,
+        getData = action => action.payload,
+        getError = action => action.payload,
+        clearData = false,
+    } = options
+    const types = createAsyncActionTypes(baseType)
+    const initialState = { data: initialData, loading: false, error: null }
+    return (state = initialState, action = {}) => {
+        switch (action.type) {
+            case types.pending:
+                return { ...state, data: clearData ? initialData : state.data, loading: true, error: null }
+            case types.fulfilled:
+                return { ...state, data: getData(action, state), loading: false, error: null }
+            case types.rejected:
+                return { ...state, loading: false, error: getError(action) }
+            default:
+                return state
+        }
+    }
+}
+
+/**
+ * Reducer tracking the loading and error state of all async actions of the promise redux middleware by their base
+ * type (e.g. { FETCH_USERS: { loading: false, error: null } }). Add it once to the root reducer and use
+ * isActionPending and getActionError to select the state.
+ * @param {Object} state - the current state
+ * @param {Object} action - any redux action
+ * @returns {Object} the updated state or the provided state for actions without suffix
+ */
+export const asyncStatusReducer = (state = {}, action = {}) => {
+    const parsed = parseAsyncActionType(action.type)
+    if (parsed == null) {
+        return state
+    }
+    const { baseType, status } = parsed
+    return {
+        ...state,
+        [baseType]: {
+            loading: status === "pending",
+            error: status === "rejected" ? action.payload : null,
+        },
+    }
+}
+
+/**
+ * Selector checking whether any of the provided async actions is loading.
+ * @param {Object} statusState - the state of the asyncStatusReducer
+ * @param {(string|Array)} baseTypes - the base type or a list of base types of async actions
+ * @returns {boolean} true, if at least one of the actions is loading
+ */
+export const isActionPending = (statusState, baseTypes) => {
+    return []
+        .concat(baseTypes)
+        .some(type => statusState != null && statusState[type] != null && statusState[type].loading)
+}
+
+/**
+ * Selector providing the error of the last execution of an async action.
+ * @param {Object} statusState - the state of the asyncStatusReducer
+ * @param {string} baseType - the base type of the async action
+ * @returns {Object} the error (payload of the rejected action) or null
+ */
+export const getActionError = (statusState, baseType) => {
+    const status = statusState != null ? statusState[baseType] : null
+    return status != null && status.error != null ? status.error : null
+}
+
+/**
+ * Extracts the query parameter of an URL query string and returns them as JSON object. Keys and values are decoded,
+ * repeated keys (a=1&a=2) and bracket keys (a[]=1) are returned as lists and nested bracket keys (filter[name]=abc)
+ * as nested objects. All values remain strings, use parseQueryString for type coercion.
+ * @param {string} query - the query string starting with ?, like ?foo=bar&abc=def
+ * @returns {object} a JSON object with the key/value paris of the query string.
+ */
+export const getQueryStringParams = query => {
+    return parseQuery(query)
+}
+
+/**
+ * Parses a URL query string into a JSON object. Repeated keys (a=1&a=2) and bracket keys (a[]=1) become lists,
+ * nested bracket keys (filter[name]=abc) become nested objects.
+ * @param {string} query - the query string with or without leading ? or #, or a full URL / path with query string
+ * @param {Object} options - optional settings:
+ * - coerce: true to convert "true"/"false" into booleans and numeric strings into numbers or a function
+ *   (value, key) => value for custom conversion - default false
+ * - arrays: a list of top-level keys, which are always returned as list, even if they occur only once
+ * @returns {object} the parsed query parameters
+ */
+export const parseQueryString = (query, options = {}) => {
+    return parseQuery(query, options)
+}
+
+/**
+ * Serialises a JSON object into a URL query string (without leading ?). Keys and values are encoded, null values
+ * are skipped, nested objects use bracket keys (filter[name]=abc) and Dates / Luxon DateTimes are serialised as ISO
+ * strings.
+ * @param {object} params - a JSON object with the query parameters
+ * @param {Object} options - optional settings:
+ * - arrayFormat: how lists of simple values are serialised: "repeat" (a=1&a=2, default), "brackets" (a[]=1&a[]=2)
+ *   or "comma" (a=1,2). Lists of objects always use indices (a[0][b]=1)
+ * @returns {string} the query string
+ */
+export const stringifyQueryString = (params, options = {}) => {
+    return stringifyQuery(params, options.arrayFormat)
+}
+
+/**
+ * Merges query parameters into the query string of a URL, e.g. to keep filter, sorting and pagination state in the
+ * URL. Existing parameters are replaced by provided parameters with the same key, parameters with null / undefined
+ * value are removed. The hash of the URL is preserved.
+ * @param {string} url - a full URL, a path or a query string (with leading ?)
+ * @param {object} params - the query parameters to merge
+ * @param {Object} options - optional settings:
+ * - arrayFormat: see stringifyQueryString
+ * - replace: true to drop all existing parameters - default false
+ * @returns {string} the URL with the merged query string
+ */
+export const mergeQueryParams = (url, params = {}, options = {}) => {
+    const { arrayFormat, replace = false } = options
+    const hashIndex = url.indexOf("#")
+    const hash = hashIndex === -1 ? "" : url.slice(hashIndex)
+    const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex)
+    const queryIndex = withoutHash.indexOf("?")
+    const base = queryIndex === -1 ? withoutHash : withoutHash.slice(0, queryIndex)
+    const existing = replace || queryIndex === -1 ? {} : parseQuery(withoutHash.slice(queryIndex))
+    const queryString = stringifyQuery({ ...existing, ...params }, arrayFormat)
+    return `${base}${queryString !== "" ? `?${queryString}` : ""}${hash}`
+}
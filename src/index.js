@@ -0,0 +1,14 @@
+/**
+ * Entry point providing every utility as standalone named export (grouped by submodule), as well as the default
+ * utility object for backward compatibility.
+ */
+export * from "./arrays"
+export * from "./auth"
+export * from "./colors"
+export * from "./dates"
+export * from "./files"
+export * from "./http"
+export * from "./numbers"
+export * from "./objects"
+export * from "./stats"
+export { default, default as util } from "./functions"
@@ -0,0 +1,382 @@
+import { isNumeric } from "./helpers"
+
+// units for formatBytes (decimal and binary)
+const BYTE_UNITS = {
+    decimal: ["B", "kB", "MB", "GB", "TB", "PB"],
+    binary: ["B", "KiB", "MiB", "GiB", "TiB", "PiB"],
+}
+
+// multipliers of compact number suffixes accepted by parseNumber
+const COMPACT_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 }
+
+/**
+ * Determines the group (thousands) and decimal separator of a locale.
+ * @param {string} locale - the locale (default: the browser locale)
+ * @returns {Object} { group, decimal }
+ */
+const getNumberSeparators = locale => {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.8)
+    const find = (type, fallback) => (parts.find(part => part.type === type) || { value: fallback }).value
+    return { group: find("group", ","), decimal: find("decimal", ".") }
+}
+
+/**
+ * Checks the thousands separators of a user-entered number, which are only valid between groups of three digits
+ * before the decimal separator (e.g. "1,234" but not "1,5" or "1.234,5" in English).
+ * @param {string} integer - the part of the input before the decimal separator
+ * @param {string} fraction - the part of the input after the decimal separator
+ * @param {string} group - the thousands separator of the locale
+ * @returns {boolean} true if the separators are used correctly or not at all
+ */
+const isValidGrouping = (integer, fraction, group) => {
+    const countGroups = value => value.split(group).length - 1
+    if (countGroups(fraction) > 0) {
+        return false
+    }
+    const escaped = group.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    const [digits] = integer.match(new RegExp(`\\d+(?:${escaped}\\d+)*`)) || [""]
+    if (countGroups(integer) !== countGroups(digits)) {
+        // separators outside of the digits
+        return false
+    }
+    return countGroups(digits) === 0 || new RegExp(`^\\d{1,3}(?:${escaped}\\d{3})+$`).test(digits)
+}
+
+/**
+ * Determines the number of decimal places of a number (e.g. 2 for 0.25 and 7 for 1e-7).
+ * @param {number} value - a finite number
+ * @returns {number} the number of decimal places
+ */
+const decimalPlaces = value => {
+    const [mantissa, exponent = "0"] = `${value}`.toLowerCase().split("e")
+    const fraction = mantissa.split(".")[1] || ""
+    return Math.max(0, fraction.length - Number(exponent))
+}
+
+/**
+ * Determines the number of values and a function computing each value of a numeric range. Each value is computed from
+ * its index (no accumulation of floating point errors) and rounded to the decimal places of start and step.
+ * @param {number} start - the first value
+ * @param {number} stop - the last value (or the first value excluded, if exclusive is true)
+ * @param {number} step - the step size, must not be 0
+ * @param {boolean} exclusive - true to exclude the stop value
+ * @returns {Object} { count, valueAt }
+ */
+const createRangeSpec = (start, stop, step, exclusive) => {
+    if (step === 0 || !isNumeric(step)) {
+        throw Error(`Invalid range step '${step}', the step must be a number other than 0`)
+    }
+    if (!isNumeric(start) || !isNumeric(stop)) {
+        throw Error(`Invalid range from '${start}' to '${stop}'`)
+    }
+    const ratio = (stop - start) / step
+    // tolerance for floating point errors, e.g. (0.3 - 0) / 0.1 = 2.9999999999999996
+    const tolerance = 1e-9 * Math.max(1, Math.abs(ratio))
+    let count = 0
+    if (ratio >= -tolerance) {
+        count = exclusive ? Math.ceil(ratio - tolerance) : Math.floor(ratio + tolerance) + 1
+    }
+    const decimals = Math.max(decimalPlaces(start), decimalPlaces(step))
+    const valueAt = index => {
+        const value = start + index * step
+        return decimals > 0 && decimals <= 15 ? Number(value.toFixed(decimals)) : value
+    }
+    return { count: Math.max(0, count), valueAt }
+}
+
+/**
+ * Determines the number of values and a function computing each value of evenly spaced numbers.
+ * @param {number} start - the first value
+ * @param {number} stop - the last value (or the first value excluded, if exclusive is true)
+ * @param {number} count - the number of values
+ * @param {boolean} exclusive - true to exclude the stop value
+ * @returns {Object} { count, valueAt }
+ */
+const createLinspaceSpec = (start, stop, count, exclusive) => {
+    if (!Number.isInteger(count) || count < 0) {
+        throw Error(`Invalid count '${count}', the count must be a non-negative integer`)
+    }
+    const intervals = exclusive ? count : count - 1
+    const step = intervals > 0 ? (stop - start) / intervals : 0
+    // the last value is exactly the stop value
+    const valueAt = index => (!exclusive && index === count - 1 && count > 1 ? stop : start + index * step)
+    return { count, valueAt }
+}
+
+/**
+ * Creates a lazy, reusable iterable of a sequence, which computes each value when it is requested.
+ * @param {Object} spec - { count, valueAt } as returned by createRangeSpec or createLinspaceSpec
+ * @returns {Object} an iterable usable in for...of loops and with the spread operator
+ */
+const createSequence = ({ count, valueAt }) => ({
+    [Symbol.iterator]: () => {
+        let index = 0
+        return {
+            next: () => {
+                if (index >= count) {
+                    return { done: true, value: undefined }
+                }
+                const value = valueAt(index)
+                index += 1
+                return { done: false, value }
+            },
+        }
+    },
+})
+
+/**
+ * Normalises a value for a given range as a floating point number. Useful for percentages with custom min/max
+ * values.
+ * @param {number} val: the value to normalise
+ * @param {number} min: the smallest value in the range
+ * @param {number} max: the biggest value in the range
+ * @returns {number} a value between 0.0 and 1.0, where 0.0 is smaller or equal the 'min' value and 1.0 is larger or
+ * equal the 'max' value
+ */
+export const normalise = (val, min, max) => {
+    if (val < min) {
+        return 0.0
+    }
+    if (val > max) {
+        return 1.0
+    }
+    let minValue = min
+    let maxValue = max
+    if (max < min) {
+        minValue = max
+        maxValue = min
+    }
+
+    if (max === min) {
+        return 1.0
+    }
+    return (val - minValue) / (maxValue - minValue)
+}
+
+/**
+ * Formats a number with a fixed or limited number of decimals and thousands separators.
+ * @param {number} value - the number to format
+ * @param {Object} options - optional settings:
+ * - decimals: the exact number of decimals (overrides minDecimals / maxDecimals)
+ * - minDecimals / maxDecimals: the range of decimals to show (default 0 / 2)
+ * - grouping: show thousands separators (default true)
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted number or null, if the value is not a finite number
+ */
+export const formatNumber = (value, options = {}) => {
+    const { decimals, minDecimals = 0, maxDecimals = 2, grouping = true, locale } = options
+    if (!isNumeric(value)) {
+        return null
+    }
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals != null ? decimals : minDecimals,
+        maximumFractionDigits: decimals != null ? decimals : Math.max(minDecimals, maxDecimals),
+        useGrouping: grouping,
+    }).format(value)
+}
+
+/**
+ * Formats a number in compact notation like "1.2K" or "3.4M" (the suffixes depend on the locale).
+ * @param {number} value - the number to format
+ * @param {Object} options - optional settings:
+ * - decimals: the maximum number of decimals (default 1)
+ * - display: "short" (default, e.g. "1.2K") or "long" (e.g. "1.2 thousand")
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted number or null, if the value is not a finite number
+ */
+export const formatCompact = (value, options = {}) => {
+    const { decimals = 1, display = "short", locale } = options
+    if (!isNumeric(value)) {
+        return null
+    }
+    return new Intl.NumberFormat(locale, {
+        notation: "compact",
+        compactDisplay: display,
+        maximumFractionDigits: decimals,
+    }).format(value)
+}
+
+/**
+ * Formats a ratio (e.g. the result of normalise) as percentage, so 0.153 becomes "15%".
+ * @param {number} value - the ratio, where 1.0 is 100%
+ * @param {Object} options - optional settings:
+ * - decimals: the number of decimals (default 0)
+ * - signed: always show the sign, e.g. "+5%" for changes (default false)
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted percentage or null, if the value is not a finite number
+ */
+export const formatPercent = (value, options = {}) => {
+    const { decimals = 0, signed = false, locale } = options
+    if (!isNumeric(value)) {
+        return null
+    }
+    return new Intl.NumberFormat(locale, {
+        style: "percent",
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        signDisplay: signed ? "exceptZero" : "auto",
+    }).format(value)
+}
+
+/**
+ * Formats an amount of money in a currency.
+ * @param {number} value - the amount
+ * @param {string} currency - the ISO 4217 currency code, e.g. "USD" or "EUR"
+ * @param {Object} options - optional settings:
+ * - decimals: the number of decimals (default: the decimals of the currency, e.g. 2 for USD, 0 for JPY)
+ * - display: "symbol" (default, e.g. "$"), "narrowSymbol", "code" (e.g. "USD") or "name" (e.g. "US dollars")
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted amount or null, if the value is not a finite number
+ */
+export const formatCurrency = (value, currency, options = {}) => {
+    const { decimals, display = "symbol", locale } = options
+    if (!isNumeric(value)) {
+        return null
+    }
+    const digits = decimals != null ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals } : {}
+    return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency,
+        currencyDisplay: display,
+        ...digits,
+    }).format(value)
+}
+
+/**
+ * Formats a number of bytes in a human readable form like "1.5 MB".
+ * @param {number} bytes - the number of bytes
+ * @param {Object} options - optional settings:
+ * - decimals: the maximum number of decimals (default 1)
+ * - binary: use powers of 1024 and binary units like "MiB" instead of powers of 1000 (default false)
+ * - locale: the locale to use (default: the browser locale)
+ * @returns {string} the formatted size or null, if the value is not a finite number
+ */
+export const formatBytes = (bytes, options = {}) => {
+    const { decimals = 1, binary = false, locale } = options
+    if (!isNumeric(bytes)) {
+        return null
+    }
+    const base = binary ? 1024 : 1000
+    const units = binary ? BYTE_UNITS.binary : BYTE_UNITS.decimal
+    let exponent = 0
+    if (Math.abs(bytes) >= 1) {
+        exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.abs(bytes)) / Math.log(base)))
+    }
+    let value = bytes / base ** exponent
+    // rounding can reach the next unit (e.g. 999.96 kB)
+    if (Math.abs(Number(value.toFixed(decimals))) >= base && exponent < units.length - 1) {
+        exponent += 1
+        value = bytes / base ** exponent
+    }
+    return `${formatNumber(value, { maxDecimals: exponent === 0 ? 0 : decimals, locale })} ${units[exponent]}`
+}
+
+/**
+ * Parses a user-entered number. Thousands separators (only between groups of three digits), whitespace, currency
+ * symbols and currency codes are ignored, a percent sign divides the number by 100, compact suffixes (k, M, B, T)
+ * directly following the number multiply it and parentheses mark negative numbers. Input containing any other
+ * letters (e.g. "12 items") or misplaced thousands separators (e.g. "1,5" in English) is rejected.
+ * @param {(string|number)} text - the user input, e.g. "1,234.5", "$ 1.2k", "15 %" or "(12)"
+ * @param {Object} options - optional settings:
+ * - locale: the locale determining the thousands and decimal separator (default: the browser locale)
+ * @returns {number} the parsed number or null, if the input isn't a valid number
+ */
+export const parseNumber = (text, options = {}) => {
+    if (typeof text === "number") {
+        return isNumeric(text) ? text : null
+    }
+    if (typeof text !== "string" || text.trim() === "") {
+        return null
+    }
+    const { group, decimal } = getNumberSeparators(options.locale)
+    let cleaned = text
+        .trim()
+        .replace(/[\u2012\u2013\u2212]/g, "-")
+        // currency codes separated by whitespace (e.g. "CHF 12.50" as formatted by formatCurrency)
+        .replace(/^([-+(]?)[A-Z]{3}\s+/, "$1")
+        .replace(/\s+[A-Z]{3}(\)?)$/, "$1")
+    const negative = /^\(.*\)$/.test(cleaned)
+    const percent = cleaned.includes("%")
+    const [integer, fraction = "", ...rest] = cleaned.split(decimal)
+    if (rest.length > 0 || !isValidGrouping(integer, fraction, group)) {
+        return null
+    }
+    cleaned = `${integer.split(group).join("")}${cleaned.includes(decimal) ? "." : ""}${fraction}`
+        // drop currency symbols, parentheses and percent signs, then all whitespace not followed by a letter
+        .replace(/[^\w\s.+-]/g, "")
+        .trim()
+        .replace(/\s+(?![a-zA-Z])/g, "")
+    // the compact suffix has to follow the digits directly, any other letters are rejected
+    const match = cleaned.match(/^([-+])?(\d+(?:\.\d*)?|\.\d+)(?:[eE]([-+]?\d+))?([kKmMbBtT])?$/)
+    if (match == null) {
+        return null
+    }
+    const [, sign = "", digits, exponent = "0", suffix] = match
+    let value = parseFloat(`${sign}${digits}e${exponent}`)
+    if (suffix != null) {
+        value *= COMPACT_MULTIPLIERS[suffix.toLowerCase()]
+    }
+    if (percent) {
+        value /= 100
+    }
+    return negative ? -Math.abs(value) : value
+}
+
+/**
+ * Replica of the Python range() function, which allows to create an array of numbers given a start, end and step
+ * value. Each value is computed from its index rather than by repeated addition and rounded to the decimal places
+ * of start and step, so range(0, 1, 0.1) contains 0.3 and 1. If the step points away from the stop value, an
+ * empty array will be returned.
+ * @param {number} start: the first element in the range to be added
+ * @param {number} stop: the last element in the range to be added
+ * @param {number} [step]: optional step size. If not provided, the default will be 1. Throws an error for 0
+ * @param {Object} [options]: optional settings:
+ * - exclusive: true to exclude the stop value like in Python (default false)
+ * @returns {Array} a list of numbers
+ */
+export const range = (start, stop, step = 1, options = {}) => {
+    const { count, valueAt } = createRangeSpec(start, stop, step, options.exclusive === true)
+    return Array.from({ length: count }, (value, index) => valueAt(index))
+}
+
+/**
+ * Creates a lazy sequence of numbers like range, which computes each value when it is requested. Useful for large
+ * ranges, which should not be held in memory.
+ * @param {number} start: the first element in the range
+ * @param {number} stop: the last element in the range
+ * @param {number} [step]: optional step size - default 1. Throws an error for 0
+ * @param {Object} [options]: optional settings:
+ * - exclusive: true to exclude the stop value (default false)
+ * @returns {Object} an iterable usable in for...of loops and with the spread operator (can be iterated multiple
+ * times)
+ */
+export const rangeIterator = (start, stop, step = 1, options = {}) => {
+    return createSequence(createRangeSpec(start, stop, step, options.exclusive === true))
+}
+
+/**
+ * Creates a list of evenly spaced numbers (like numpy's linspace), e.g. for chart axes or colour scale stops.
+ * @param {number} start: the first value
+ * @param {number} stop: the last value
+ * @param {number} count: the number of values
+ * @param {Object} [options]: optional settings:
+ * - exclusive: true to exclude the stop value, so the values are spaced by (stop - start) / count (default false)
+ * @returns {Array} a list of numbers
+ */
+export const linspace = (start, stop, count, options = {}) => {
+    const spec = createLinspaceSpec(start, stop, count, options.exclusive === true)
+    return Array.from({ length: spec.count }, (value, index) => spec.valueAt(index))
+}
+
+/**
+ * Creates a lazy sequence of evenly spaced numbers like linspace, which computes each value when it is requested.
+ * @param {number} start: the first value
+ * @param {number} stop: the last value
+ * @param {number} count: the number of values
+ * @param {Object} [options]: optional settings:
+ * - exclusive: true to exclude the stop value (default false)
+ * @returns {Object} an iterable usable in for...of loops and with the spread operator
+ */
+export const linspaceIterator = (start, stop, count, options = {}) => {
+    return createSequence(createLinspaceSpec(start, stop, count, options.exclusive === true))
+}
@@ -0,0 +1,493 @@
+import { DateTime } from "luxon"
+import { getAtPath, isContainer, parsePath, UNSAFE_KEYS } from "./helpers"
+
+/**
+ * Resolves a path in an object.
+ * @param {Object} object - a JSON object or list
+ * @param {(string|number|Array)} path - a path as supported by parsePath
+ * @returns {Object} the resolved value or undefined, if the path doesn't exist
+ */
+const resolvePath = (object, path) => getAtPath(object, parsePath(path))
+
+/**
+ * Creates a shallow copy of an object or list.
+ * @param {(Object|Array)} container - an object or list
+ * @returns {(Object|Array)} the copy
+ */
+const copyContainer = container => (Array.isArray(container) ? container.slice() : { ...container })
+
+/**
+ * Sets a value at a list of keys, creating missing objects (or lists for numeric keys) along the way.
+ * @param {Object} object - a JSON object or list (or null)
+ * @param {Array} segments - the keys as returned by parsePath
+ * @param {Object} value - the value to set
+ * @param {boolean} immutable - true to copy every object along the path instead of modifying it
+ * @returns {Object} the updated object
+ */
+const assignPath = (object, segments, value, immutable) => {
+    if (segments.length === 0) {
+        return value
+    }
+    const [segment, ...rest] = segments
+    if (UNSAFE_KEYS.includes(segment)) {
+        throw Error(`Unsafe key '${segment}' in path`)
+    }
+    let container = object
+    if (!isContainer(object)) {
+        container = typeof segment === "number" ? [] : {}
+    } else if (immutable) {
+        container = copyContainer(object)
+    }
+    container[segment] = assignPath(container[segment], rest, value, immutable)
+    return container
+}
+
+/**
+ * Removes the value at a list of keys. List items are removed from the list (following items move up).
+ * @param {Object} object - a JSON object or list
+ * @param {Array} segments - the keys as returned by parsePath
+ * @param {boolean} immutable - true to copy every object along the path instead of modifying it
+ * @returns {Object} the updated object (the same object, if the path doesn't exist)
+ */
+const removePath = (object, segments, immutable) => {
+    if (!isContainer(object) || segments.length === 0) {
+        return object
+    }
+    const [segment, ...rest] = segments
+    if (!Object.prototype.hasOwnProperty.call(object, segment)) {
+        return object
+    }
+    if (rest.length === 0) {
+        const container = immutable ? copyContainer(object) : object
+        if (Array.isArray(container)) {
+            container.splice(segment, 1)
+        } else {
+            delete container[segment]
+        }
+        return container
+    }
+    const child = removePath(object[segment], rest, immutable)
+    if (!immutable || child === object[segment]) {
+        return object
+    }
+    const container = copyContainer(object)
+    container[segment] = child
+    return container
+}
+
+/**
+ * Formats a list of keys as path string supported by parsePath (the inverse of parsePath).
+ * @param {Array} segments - a list of keys (numbers for list indices)
+ * @returns {string} a path like "items[0].name"
+ */
+const formatPath = segments =>
+    segments.reduce((path, segment) => {
+        if (typeof segment === "number") {
+            return `${path}[${segment}]`
+        }
+        if (segment === "") {
+            return `${path}[""]`
+        }
+        const escaped = segment.replace(/[\\.[]/g, "\\$&")
+        return path === "" ? escaped : `${path}.${escaped}`
+    }, "")
+
+/**
+ * Checks whether a value is a plain JSON object (no list, Date, Map, class instance, ...).
+ * @param {Object} value - any value
+ * @returns {boolean} true for plain objects
+ */
+const isPlainObject = value => {
+    if (!isContainer(value)) {
+        return false
+    }
+    const prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Creates a deep copy of a value. Luxon DateTimes and functions are immutable / not copied.
+ * @param {Object} value - any value
+ * @param {Map} copies - the already copied objects (to handle circular references)
+ * @returns {Object} the copy
+ */
+const cloneValue = (value, copies = new Map()) => {
+    if (!isContainer(value) || DateTime.isDateTime(value)) {
+        return value
+    }
+    if (copies.has(value)) {
+        return copies.get(value)
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime())
+    }
+    if (value instanceof Map) {
+        const copy = new Map()
+        copies.set(value, copy)
+        value.forEach((item, key) => copy.set(key, cloneValue(item, copies)))
+        return copy
+    }
+    if (value instanceof Set) {
+        const copy = new Set()
+        copies.set(value, copy)
+        value.forEach(item => copy.add(cloneValue(item, copies)))
+        return copy
+    }
+    const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value))
+    copies.set(value, copy)
+    Object.keys(value).forEach(key => {
+        copy[key] = cloneValue(value[key], copies)
+    })
+    return copy
+}
+
+/**
+ * Compares two values deeply.
+ * @param {Object} a - any value
+ * @param {Object} b - any value
+ * @returns {boolean} true if both values are equal
+ */
+const valuesEqual = (a, b) => {
+    if (Object.is(a, b)) {
+        return true
+    }
+    if (!isContainer(a) || !isContainer(b)) {
+        return false
+    }
+    if (DateTime.isDateTime(a) || DateTime.isDateTime(b) || a instanceof Date || b instanceof Date) {
+        // compare the point in time
+        const isDate = value => DateTime.isDateTime(value) || value instanceof Date
+        return isDate(a) && isDate(b) && a.valueOf() === b.valueOf()
+    }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false
+    }
+    if (a instanceof Map) {
+        return (
+            a.size === b.size && [...a.entries()].every(([key, value]) => b.has(key) && valuesEqual(value, b.get(key)))
+        )
+    }
+    if (a instanceof Set) {
+        // each value of b can only be matched once
+        const others = [...b]
+        return (
+            a.size === b.size &&
+            [...a].every(value => {
+                let index = b.has(value) ? others.indexOf(value) : -1
+                if (index === -1) {
+                    index = others.findIndex(other => valuesEqual(value, other))
+                }
+                if (index === -1) {
+                    return false
+                }
+                others.splice(index, 1)
+                return true
+            })
+        )
+    }
+    const keys = Object.keys(a)
+    return (
+        keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && valuesEqual(a[key], b[key]))
+    )
+}
+
+/**
+ * Collects the changes between two values. Plain objects and lists are compared key by key, all other values are
+ * replaced as a whole.
+ * @param {Object} before - the original value
+ * @param {Object} after - the updated value
+ * @param {Array} segments - the keys of the current path
+ * @param {Array} changes - the list collecting the changes
+ * @returns {Array} the list of changes
+ */
+const collectChanges = (before, after, segments = [], changes = []) => {
+    const bothLists = Array.isArray(before) && Array.isArray(after)
+    if (!bothLists && !(isPlainObject(before) && isPlainObject(after))) {
+        if (!valuesEqual(before, after)) {
+            changes.push({ op: "replace", path: formatPath(segments), value: after, oldValue: before })
+        }
+        return changes
+    }
+    if (bothLists) {
+        const common = Math.min(before.length, after.length)
+        for (let i = 0; i < common; i += 1) {
+            collectChanges(before[i], after[i], [...segments, i], changes)
+        }
+        for (let i = common; i < after.length; i += 1) {
+            changes.push({ op: "add", path: formatPath([...segments, i]), value: after[i] })
+        }
+        // remove from the end, so the indices of the following removals stay valid
+        for (let i = before.length - 1; i >= common; i -= 1) {
+            changes.push({ op: "remove", path: formatPath([...segments, i]), oldValue: before[i] })
+        }
+        return changes
+    }
+    Object.keys(before).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(after, key)) {
+            changes.push({ op: "remove", path: formatPath([...segments, key]), oldValue: before[key] })
+        } else {
+            collectChanges(before[key], after[key], [...segments, key], changes)
+        }
+    })
+    Object.keys(after)
+        .filter(key => !Object.prototype.hasOwnProperty.call(before, key))
+        .forEach(key => changes.push({ op: "add", path: formatPath([...segments, key]), value: after[key] }))
+    return changes
+}
+
+// names of the functions of enums created by createEnum, which can't be used as keys
+const ENUM_FUNCTIONS = ["getKey", "getValue", "has", "hasKey", "assert", "getLabel", "keys", "values", "options"]
+
+/**
+ * Returns an inversed JSON object, where every value becomes the key and maps to its original key.
+ * @param {object} jsonObject - a flat JSON object, with simple keys and simple values (boolean,
+ * string, number are supported)
+ * @param {boolean} showWarning - optional flag to print out console warnings in case any key/value
+ * pair cannot be mapped or if the JSON object contains duplicates - default = true
+ * @returns {object} a JSON object which maps from each value of the input to the key.
+ */
+export const reverseMapping = (jsonObject, showWarning = true) => {
+    const result = {}
+    Object.entries(jsonObject).forEach(([key, value]) => {
+        if (!["number", "boolean", "string"].includes(typeof value) && showWarning) {
+            console.warn("Reverse mapping of value of type", typeof value, "is not possible. Ignoring this value")
+            return
+        }
+        const newKey = `${value}` // stringify
+        if (result[newKey] != null) {
+            // already set
+            console.warn("Duplicate value", newKey, "in reverse mapping. Ignoring key", key)
+            return
+        }
+        result[newKey] = key
+    })
+    return result
+}
+
+/**
+ * Useful function for listings / mappings, which allows to use auto-complete / refactoring techniques
+ * to lookup the key from its value in that mapping. If a mapping MAP = { "foo": "bar" }, then you can
+ * use `keyLookup(MAP, MAP.foo)` to return "foo", without using "foo" as a string, which can introduce
+ * difficulties when refactoring.
+ * @param {object} jsonMapping - a flag JSON object mapping from keys to simple values (string, boolean,
+ * number are supported)
+ * @param {string|number|boolean} lookupValue - the value to find the key for
+ * @param {boolean} showWarning - optional flag, which is passed into the reverseMapping function to print
+ * out warnings in case of issues when creating the reverse mapping.
+ * @returns {string} the name of the key for the lookup value
+ */
+export const keyLookup = (jsonMapping, lookupValue, showWarning = true) => {
+    const reverse = reverseMapping(jsonMapping, showWarning)
+    return reverse[lookupValue]
+}
+
+/**
+ * Creates a frozen, bidirectional enum from a mapping of keys to values (or a list of keys, which are used as values
+ * as well). The enum provides each key as property (Status.OPEN) and lookup functions in both directions.
+ * @param {(object|Array)} mapping - a flat JSON object mapping keys to simple values (string, number, boolean) or a
+ * list of keys
+ * @param {Object} options - optional settings:
+ * - strict: throw an error for duplicate or unsupported values instead of printing a warning and ignoring them
+ *   (default false)
+ * - labels: a JSON object mapping keys to display labels or a function (key, value) => label (default: the key)
+ * @returns {Object} the frozen enum providing the keys and the functions getKey(value), getValue(key), has(value),
+ * hasKey(key), assert(value), getLabel(value), keys(), values() and options() (a list of { key, value, label } for
+ * dropdowns)
+ */
+export const createEnum = (mapping, options = {}) => {
+    const { strict = false, labels = null } = options
+    // a list of keys uses the keys as values as well (the first occurrence of a key wins)
+    const source = Array.isArray(mapping)
+        ? mapping.reduce(
+              (result, key) => (Object.prototype.hasOwnProperty.call(result, key) ? result : { ...result, [key]: key }),
+              {}
+          )
+        : mapping
+    const byValue = new Map()
+    const byKey = new Map()
+    const report = message => {
+        if (strict) {
+            throw Error(message)
+        }
+        console.warn(message)
+    }
+    Object.entries(source || {}).forEach(([key, value]) => {
+        if (ENUM_FUNCTIONS.includes(key)) {
+            throw Error(`Enum key '${key}' is reserved`)
+        }
+        if (!["number", "boolean", "string"].includes(typeof value)) {
+            report(`Unsupported enum value of type ${typeof value} for key '${key}'`)
+        } else if (byValue.has(value)) {
+            report(`Duplicate enum value '${value}' for keys '${byValue.get(value)}' and '${key}'`)
+        } else {
+            byValue.set(value, key)
+            byKey.set(key, value)
+        }
+    })
+
+    const getLabel = value => {
+        const key = byValue.get(value)
+        if (key == null) {
+            return null
+        }
+        if (typeof labels === "function") {
+            return labels(key, value)
+        }
+        const hasLabel = labels != null && Object.prototype.hasOwnProperty.call(labels, key) && labels[key] != null
+        return hasLabel ? labels[key] : key
+    }
+    const result = {}
+    byKey.forEach((value, key) => {
+        result[key] = value
+    })
+    return Object.freeze({
+        ...result,
+        getKey: value => (byValue.has(value) ? byValue.get(value) : null),
+        getValue: key => (byKey.has(key) ? byKey.get(key) : null),
+        has: value => byValue.has(value),
+        hasKey: key => byKey.has(key),
+        assert: value => {
+            if (!byValue.has(value)) {
+                throw Error(`Invalid enum value '${value}', expected one of: ${[...byValue.keys()].join(", ")}`)
+            }
+            return value
+        },
+        getLabel,
+        keys: () => [...byKey.keys()],
+        values: () => [...byKey.values()],
+        options: () => [...byKey.entries()].map(([key, value]) => ({ key, value, label: getLabel(value) })),
+    })
+}
+
+/**
+ * A function to savely access nested JSON keys in objects. This will handle deeper levels and especially
+ * if keys higher up in the hierarchy are not set.
+ * @param {Object} object - a JSON object
+ * @param {(string|number|Array)} key - a path that can include dots (.) for nested JSON keys, brackets for list
+ * indices (items[0].name) and backslashes to escape dots that are part of a key (file\\.name) or a list of keys
+ * @param {Object} defaultValue - optional: the value returned if the path doesn't exist (or resolves to undefined)
+ * - default null
+ * @returns {Object} the resolved value or the default value
+ */
+export const jsonGet = (object, key, defaultValue = null) => {
+    const value = resolvePath(object, key)
+    return value === undefined ? defaultValue : value
+}
+
+/**
+ * Checks whether a path exists in an object (even if its value is null or undefined).
+ * @param {Object} object - a JSON object
+ * @param {(string|number|Array)} key - a path as supported by jsonGet
+ * @returns {boolean} true if every key of the path exists
+ */
+export const jsonHas = (object, key) => {
+    const segments = parsePath(key)
+    let current = object
+    return segments.every(segment => {
+        if (!isContainer(current) || !Object.prototype.hasOwnProperty.call(current, segment)) {
+            return false
+        }
+        current = current[segment]
+        return true
+    })
+}
+
+/**
+ * Sets a value at a path in an object, creating missing objects (or lists for numeric keys like items[0]) along
+ * the way. This modifies the provided object, see jsonSetImmutable for a copy-on-write variant.
+ * @param {Object} object - a JSON object (or null to create a new one)
+ * @param {(string|number|Array)} key - a path as supported by jsonGet
+ * @param {Object} value - the value to set
+ * @returns {Object} the modified object (or the new one, if null was provided)
+ */
+export const jsonSet = (object, key, value) => {
+    return assignPath(object, parsePath(key), value, false)
+}
+
+/**
+ * Sets a value at a path without modifying the provided object. Only the objects along the path are copied, all
+ * other nested objects are shared with the original (e.g. for React / Redux state).
+ * @param {Object} object - a JSON object (or null to create a new one)
+ * @param {(string|number|Array)} key - a path as supported by jsonGet
+ * @param {Object} value - the value to set
+ * @returns {Object} a new object containing the value
+ */
+export const jsonSetImmutable = (object, key, value) => {
+    return assignPath(object, parsePath(key), value, true)
+}
+
+/**
+ * Removes the value at a path in an object. List items are removed from the list (following items move up). This
+ * modifies the provided object, see jsonDeleteImmutable for a copy-on-write variant.
+ * @param {Object} object - a JSON object
+ * @param {(string|number|Array)} key - a path as supported by jsonGet
+ * @returns {Object} the modified object
+ */
+export const jsonDelete = (object, key) => {
+    return removePath(object, parsePath(key), false)
+}
+
+/**
+ * Removes the value at a path without modifying the provided object. Only the objects along the path are copied.
+ * @param {Object} object - a JSON object
+ * @param {(string|number|Array)} key - a path as supported by jsonGet
+ * @returns {Object} a new object without the value (or the original object, if the path doesn't exist)
+ */
+export const jsonDeleteImmutable = (object, key) => {
+    return removePath(object, parsePath(key), true)
+}
+
+/**
+ * Creates a deep copy of a value. Handles lists, plain objects, class instances (keeping their prototype), Dates,
+ * Maps, Sets and circular references. Luxon DateTimes are immutable and therefore not copied.
+ * @param {Object} value - any value
+ * @returns {Object} the copy
+ */
+export const deepClone = value => {
+    return cloneValue(value)
+}
+
+/**
+ * Compares two values deeply. Dates and Luxon DateTimes are equal if they represent the same point in time, Maps
+ * and Sets are compared by their entries. Circular references are not supported.
+ * @param {Object} a - any value
+ * @param {Object} b - any value
+ * @returns {boolean} true if both values are equal
+ */
+export const deepEqual = (a, b) => {
+    return valuesEqual(a, b)
+}
+
+/**
+ * Determines the changes between two versions of an object (e.g. a record before and after editing). Plain objects
+ * and lists are compared key by key, all other values (Dates, Maps, ...) are compared with deepEqual and replaced as
+ * a whole.
+ * @param {Object} before - the original object
+ * @param {Object} after - the updated object
+ * @returns {Array} a list of changes { op, path, value, oldValue }, where op is "add", "remove" or "replace" and
+ * path is a path supported by jsonGet (e.g. "items[0].name"; an empty path refers to the object itself)
+ */
+export const diff = (before, after) => {
+    return collectChanges(before, after)
+}
+
+/**
+ * Applies a list of changes (as returned by diff) to an object without modifying it. Only the objects along the
+ * changed paths are copied.
+ * @param {Object} object - the object to apply the changes to
+ * @param {Array} changes - a list of changes { op, path, value }
+ * @returns {Object} the updated object
+ */
+export const applyPatch = (object, changes) => {
+    return changes.reduce((current, change) => {
+        const segments = parsePath(change.path)
+        if (change.op === "remove") {
+            return removePath(current, segments, true)
+        }
+        if (change.op !== "add" && change.op !== "replace") {
+            throw Error(`Unsupported patch operation '${change.op}'`)
+        }
+        return assignPath(current, segments, change.value, true)
+    }, object)
+}
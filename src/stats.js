@@ -0,0 +1,317 @@
+import { createAccessor, isNumeric } from "./helpers"
+import { range } from "./numbers"
+
+/**
+ * Extracts the numeric values from a list, ignoring all values that are not finite numbers.
+ * @param {Array} list - a list of numbers or objects
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Array} a list of finite numbers
+ */
+const toNumbers = (list, accessor = null) => (list || []).map(createAccessor(accessor)).filter(isNumeric)
+
+/**
+ * Computes the quantile of a sorted list of numbers using linear interpolation between the closest ranks.
+ * @param {Array} sorted - a sorted list of numbers
+ * @param {number} q - the quantile between 0 and 1
+ * @returns {number} the quantile or null, if the list is empty
+ */
+const sortedQuantile = (sorted, q) => {
+    if (sorted.length === 0) {
+        return null
+    }
+    const position = (sorted.length - 1) * Math.min(1, Math.max(0, q))
+    const lower = Math.floor(position)
+    const upper = Math.ceil(position)
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+/**
+ * Sums up all the values in the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key (can contain . for nested levels) or function extracting the
+ * value from each item
+ * @returns {Number} the sum of all the items in the list or 0 if the list is empty.
+ */
+export const sum = (list, accessor = null) => {
+    return toNumbers(list, accessor).reduce((a, b) => a + b, 0)
+}
+
+/**
+ * Provides the mean value of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the average value of the values in the list or null, if there are no numeric values
+ */
+export const mean = (list, accessor = null) => {
+    const values = toNumbers(list, accessor)
+    if (values.length === 0) {
+        return null
+    }
+    return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+/**
+ * Provides a quantile of the provided list using linear interpolation between the closest values. Values that are
+ * not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {number} q - the quantile between 0 and 1 (e.g. 0.25 for the first quartile)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the quantile or null, if there are no numeric values
+ */
+export const quantile = (list, q, accessor = null) => {
+    return sortedQuantile(
+        toNumbers(list, accessor).sort((a, b) => a - b),
+        q
+    )
+}
+
+/**
+ * Provides the median (middle value) of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the median or null, if there are no numeric values
+ */
+export const median = (list, accessor = null) => {
+    return quantile(list, 0.5, accessor)
+}
+
+/**
+ * Provides the most frequent value(s) of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Array} the sorted list of the most frequent values (multiple in case of a tie), empty if there are no
+ * numeric values
+ */
+export const mode = (list, accessor = null) => {
+    const counts = new Map()
+    // no spread into Math.max, which exceeds the call stack for large lists
+    let highest = 0
+    toNumbers(list, accessor).forEach(value => {
+        const count = (counts.get(value) || 0) + 1
+        counts.set(value, count)
+        highest = Math.max(highest, count)
+    })
+    return [...counts.keys()].filter(value => counts.get(value) === highest).sort((a, b) => a - b)
+}
+
+/**
+ * Provides the variance of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @param {boolean} population - optional, compute the population variance (divided by n) instead of the sample
+ * variance (divided by n - 1) - default false
+ * @returns {Number} the variance or null, if there are not enough numeric values (1 for population, 2 for sample)
+ */
+export const variance = (list, accessor = null, population = false) => {
+    const values = toNumbers(list, accessor)
+    const divisor = population ? values.length : values.length - 1
+    if (divisor <= 0) {
+        return null
+    }
+    const average = mean(values)
+    return values.reduce((total, value) => total + (value - average) ** 2, 0) / divisor
+}
+
+/**
+ * Provides the standard deviation of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @param {boolean} population - optional, compute the population standard deviation instead of the sample standard
+ * deviation - default false
+ * @returns {Number} the standard deviation or null, if there are not enough numeric values
+ */
+export const standardDeviation = (list, accessor = null, population = false) => {
+    const result = variance(list, accessor, population)
+    return result == null ? null : Math.sqrt(result)
+}
+
+/**
+ * Provides the smallest and largest value of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Array} a list with the smallest and largest value or null, if there are no numeric values
+ */
+export const extent = (list, accessor = null) => {
+    const values = toNumbers(list, accessor)
+    if (values.length === 0) {
+        return null
+    }
+    // no spread operator, which would fail for very long lists
+    return values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [values[0], values[0]])
+}
+
+/**
+ * Provides the smallest value of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the smallest value or null, if there are no numeric values
+ */
+export const min = (list, accessor = null) => {
+    const bounds = extent(list, accessor)
+    return bounds == null ? null : bounds[0]
+}
+
+/**
+ * Provides the largest value of the provided list. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the largest value or null, if there are no numeric values
+ */
+export const max = (list, accessor = null) => {
+    const bounds = extent(list, accessor)
+    return bounds == null ? null : bounds[1]
+}
+
+/**
+ * Provides multiple quantiles of the provided list (sorting the list only once). Values that are not numbers are
+ * ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {Array} qs - a list of quantiles between 0 and 1 - default: quartiles [0.25, 0.5, 0.75]
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Array} the list of quantiles (null values, if there are no numeric values)
+ */
+export const quantiles = (list, qs = [0.25, 0.5, 0.75], accessor = null) => {
+    const sorted = toNumbers(list, accessor).sort((a, b) => a - b)
+    return qs.map(q => sortedQuantile(sorted, q))
+}
+
+/**
+ * Provides a percentile of the provided list (see quantile).
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {number} p - the percentile between 0 and 100 (e.g. 95)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Number} the percentile or null, if there are no numeric values
+ */
+export const percentile = (list, p, accessor = null) => {
+    return quantile(list, p / 100, accessor)
+}
+
+/**
+ * Groups the values of a list into bins of equal width. Values that are not numbers are ignored.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {Object} options - optional settings:
+ * - bins: the number of bins, a positive integer (default 10), otherwise an error is thrown
+ * - min / max: the range covered by the bins (default: the extent of the values). Values outside are ignored
+ * - accessor: key or function extracting the value from each item
+ * @returns {Array} a list of bins { x0, x1, count, values }, where x0 is inclusive and x1 exclusive (except for the
+ * last bin); empty if there are no numeric values
+ */
+export const histogram = (list, options = {}) => {
+    const { bins = 10, accessor = null } = options
+    if (!Number.isInteger(bins) || bins < 1) {
+        throw Error(`The number of bins has to be a positive integer, but was ${bins}`)
+    }
+    const getValue = createAccessor(accessor)
+    const items = (list || []).filter(item => isNumeric(getValue(item)))
+    const bounds = extent(items, getValue)
+    if (bounds == null) {
+        return []
+    }
+    const lower = options.min != null ? options.min : bounds[0]
+    const upper = options.max != null ? options.max : bounds[1]
+    const width = (upper - lower) / bins
+    const result = range(0, bins - 1).map(index => ({
+        x0: lower + index * width,
+        x1: index === bins - 1 ? upper : lower + (index + 1) * width,
+        count: 0,
+        values: [],
+    }))
+    items.forEach(item => {
+        const value = getValue(item)
+        if (value < lower || value > upper) {
+            return
+        }
+        const index = width === 0 ? 0 : Math.min(bins - 1, Math.floor((value - lower) / width))
+        result[index].count += 1
+        result[index].values.push(item)
+    })
+    return result
+}
+
+/**
+ * Computes the moving (trailing) average for each position of a list. Values that are not numbers are ignored
+ * within each window.
+ * @param {Array} list - a list of numbers (or objects, if an accessor is provided)
+ * @param {number} windowSize - the number of values to average (including the current one)
+ * @param {(string|function)} accessor - optional key or function extracting the value from each item
+ * @returns {Array} a list of the same length as the input with the average of the window ending at each position.
+ * Positions before the first complete window (or without numeric values in the window) are null.
+ */
+export const movingAverage = (list, windowSize, accessor = null) => {
+    const getValue = createAccessor(accessor)
+    const values = (list || []).map(getValue)
+    return values.map((value, index) =>
+        index + 1 < windowSize ? null : mean(values.slice(index + 1 - windowSize, index + 1))
+    )
+}
+
+/**
+ * Computes the Pearson correlation coefficient between two series of values. Either provide two lists of numbers
+ * or a list of objects and two accessors. Pairs with a non-numeric value are ignored.
+ * @param {Array} xs - a list of numbers or a list of objects
+ * @param {(Array|string|function)} ys - a list of numbers or the key / function extracting the x value from each
+ * object
+ * @param {(string|function)} yAccessor - the key or function extracting the y value from each object (only if xs
+ * is a list of objects)
+ * @returns {Number} the correlation between -1 and 1 or null, if there are less than 2 pairs or one of the series
+ * is constant
+ */
+export const correlation = (xs, ys, yAccessor = null) => {
+    let pairs
+    if (Array.isArray(ys)) {
+        pairs = (xs || []).slice(0, ys.length).map((x, index) => [x, ys[index]])
+    } else {
+        const getX = createAccessor(ys)
+        const getY = createAccessor(yAccessor)
+        pairs = (xs || []).map(item => [getX(item), getY(item)])
+    }
+    pairs = pairs.filter(([x, y]) => isNumeric(x) && isNumeric(y))
+    if (pairs.length < 2) {
+        return null
+    }
+    const meanX = mean(pairs, pair => pair[0])
+    const meanY = mean(pairs, pair => pair[1])
+    let covariance = 0
+    let varianceX = 0
+    let varianceY = 0
+    pairs.forEach(([x, y]) => {
+        covariance += (x - meanX) * (y - meanY)
+        varianceX += (x - meanX) ** 2
+        varianceY += (y - meanY) ** 2
+    })
+    if (varianceX === 0 || varianceY === 0) {
+        return null
+    }
+    return covariance / Math.sqrt(varianceX * varianceY)
+}
+
+/**
+ * Aggregates the lists of objects of a grouping (e.g. from bucketByDate or groupObjects) into a single value each.
+ * @param {Object} buckets - a JSON object mapping keys to lists of objects
+ * @param {(string|function)} aggregation - optional: "count" (default), "sum", "mean", "median", "min", "max" or a
+ * function receiving the list of values (or objects for "count" and functions without valueKey) and returning the
+ * aggregate
+ * @param {(string|function)} valueKey - the key of the value to aggregate (can contain . for nested levels) or a
+ * function extracting the value from an object. Required for all aggregations except "count"
+ * @returns {Object} a JSON object mapping each key to the aggregated value
+ */
+export const aggregateBuckets = (buckets, aggregation = "count", valueKey = null) => {
+    const getValue = createAccessor(valueKey)
+    const aggregations = {
+        count: values => values.length,
+        sum: values => sum(values),
+        mean: values => mean(values),
+        median: values => median(values),
+        min: values => min(values),
+        max: values => max(values),
+    }
+    const aggregate = typeof aggregation === "function" ? aggregation : aggregations[aggregation]
+    if (aggregate == null) {
+        throw Error(`Unsupported aggregation '${aggregation}'`)
+    }
+    const result = {}
+    Object.keys(buckets).forEach(key => {
+        result[key] = aggregate(buckets[key].map(getValue))
+    })
+    return result
+}